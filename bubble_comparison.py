@@ -3,15 +3,40 @@ import numpy as np
 import matplotlib.pyplot as plt
 
 # ============================================================
-# 0. Load data  (update paths/filenames as needed)
+# 0. Cohort identity  (mirrors COHORTS in frontend/app.jsx)
+#    Every dataset below is looked up by cohort id, never by position.
 # ============================================================
-dotcom_path = "Company-Metric-1996-1997-1998-1999-2000.csv"
-ai_broad_path = "spreadsheet (3).xlsx"   # Pure-play / narrow AI cohort
-ai_pure_path = "spreadsheet (4).xlsx"    # Big Tech AI cohort
+COHORTS = {
+    "dotcom": {
+        "label": "Dot-com",
+        "path": "frontend/Dotcom.csv",
+        "peak": [1999, 2000],
+        "marker": "x",
+    },
+    "bigTech": {
+        "label": "Big Tech AI",
+        "path": "frontend/HighTech.xlsx",
+        "peak": [2023, 2024, 2025],
+        "marker": "o",
+    },
+    "pureAi": {
+        "label": "Pure-play AI",
+        "path": "frontend/PureAI.xlsx",
+        "peak": [2023, 2024, 2025],
+        "marker": "^",
+    },
+}
+
+
+def load_raw(path: str) -> pd.DataFrame:
+    if path.endswith(".csv"):
+        return pd.read_csv(path)
+    return pd.read_excel(path)
+
 
-dotcom = pd.read_csv(dotcom_path)
-ai_broad = pd.read_excel(ai_broad_path)
-ai_pure = pd.read_excel(ai_pure_path)
+def detect_year_columns(df: pd.DataFrame):
+    # Year columns come from the file header, e.g. "1995" .. "2005"
+    return sorted(int(c) for c in map(str, df.columns) if c.isdigit() and len(c) == 4)
 
 
 # ============================================================
@@ -51,15 +76,14 @@ def tidy_panel(df: pd.DataFrame, years):
 
 
 # ============================================================
-# 2. Build tidy datasets for each cohort
+# 2. Build tidy datasets for each cohort, keyed by cohort id
 # ============================================================
-dotcom_tidy = tidy_panel(dotcom, [1996, 1997, 1998, 1999, 2000])
-ai_pure_tidy = tidy_panel(ai_pure, [2020, 2021, 2022, 2023, 2024, 2025])
-ai_niche_tidy = tidy_panel(ai_broad, [2020, 2021, 2022, 2023, 2024, 2025])
-
-dotcom_tidy["Era"] = "Dot-com (1996-2000)"
-ai_pure_tidy["Era"] = "Big Tech AI (2020-2025)"
-ai_niche_tidy["Era"] = "Pure-play AI (2020-2025)"
+tidy = {}
+for cohort_id, meta in COHORTS.items():
+    raw = load_raw(meta["path"])
+    df = tidy_panel(raw, detect_year_columns(raw))
+    df["Cohort"] = cohort_id
+    tidy[cohort_id] = df
 
 # Small helper to avoid taking log of non-positive values
 def safe_log(series: pd.Series):
@@ -72,12 +96,9 @@ def safe_log(series: pd.Series):
 # 3. LOG Normalised Average Valuation/Revenue (P/S) over time
 # ============================================================
 plt.figure(figsize=(10, 5))
-for df, label in [
-    (dotcom_tidy, "Dot-com"),
-    (ai_pure_tidy, "Big Tech AI"),
-    (ai_niche_tidy, "Pure AI"),
-]:
-    grp = df.groupby("Year")["ValRev"].mean()
+for cohort_id, meta in COHORTS.items():
+    label = meta["label"]
+    grp = tidy[cohort_id].groupby("Year")["ValRev"].mean()
     grp = grp.dropna()
     grp = grp[grp > 0]
     plt.plot(
@@ -97,24 +118,20 @@ plt.show()
 
 # ============================================================
 # 4. Log-normalised P/S boxplot at bubble peaks
-#    Dot-com peak: 1999-2000
-#    Big Tech AI peak: 2023-2025
-#    Pure AI peak: 2023-2025
+#    (peak windows come from COHORTS[...]["peak"])
 # ============================================================
-dotcom_peak = dotcom_tidy[dotcom_tidy["Year"].isin([1999, 2000])]
-ai_pure_peak = ai_pure_tidy[ai_pure_tidy["Year"].isin([2023, 2024, 2025])]
-ai_niche_peak = ai_niche_tidy[ai_niche_tidy["Year"].isin([2023, 2024, 2025])]
-
+cohort_ids = list(COHORTS)
 data_box = [
-    safe_log(dotcom_peak["ValRev"]),
-    safe_log(ai_pure_peak["ValRev"]),
-    safe_log(ai_niche_peak["ValRev"]),
+    safe_log(
+        tidy[cid][tidy[cid]["Year"].isin(COHORTS[cid]["peak"])]["ValRev"]
+    )
+    for cid in cohort_ids
 ]
 
 plt.figure(figsize=(10, 5))
 plt.boxplot(
     data_box,
-    labels=["Dot-com peak (log)", "Big Tech AI peak (log)", "Pure AI peak (log)"],
+    labels=[f"{COHORTS[cid]['label']} peak (log)" for cid in cohort_ids],
 )
 plt.ylabel("log(Valuation / Revenue)")
 plt.title("Log-Normalized P/S Distribution at Bubble Peaks")
@@ -125,24 +142,20 @@ plt.show()
 # ============================================================
 # 5. Log-log Market Cap vs Revenue scatter, coloured by era
 # ============================================================
-combined = pd.concat([dotcom_tidy, ai_pure_tidy, ai_niche_tidy], ignore_index=True)
+combined = pd.concat(list(tidy.values()), ignore_index=True)
 
 plt.figure(figsize=(10, 6))
-markers = {
-    "Dot-com (1996-2000)": "x",
-    "Big Tech AI (2020-2025)": "o",
-    "Pure-play AI (2020-2025)": "^",
-}
 
-for era, sub in combined.groupby("Era"):
+for cohort_id, sub in combined.groupby("Cohort"):
+    meta = COHORTS[cohort_id]
     # Keep only positive values for log-log
     mask = (sub["Revenue"] > 0) & (sub["MarketCap"] > 0)
     sub_pos = sub[mask]
     plt.scatter(
         np.log(sub_pos["Revenue"]),
         np.log(sub_pos["MarketCap"]),
-        label=era,
-        marker=markers.get(era, "o"),
+        label=meta["label"],
+        marker=meta["marker"],
         alpha=0.8,
     )
 
@@ -167,9 +180,8 @@ def median_log_ps(df: pd.DataFrame, years):
 
 
 med_data = {
-    "Dot-com peak": median_log_ps(dotcom_tidy, [1999, 2000]),
-    "Big Tech AI peak": median_log_ps(ai_pure_tidy, [2023, 2024, 2025]),
-    "Pure AI peak": median_log_ps(ai_niche_tidy, [2023, 2024, 2025]),
+    f"{meta['label']} peak": median_log_ps(tidy[cid], meta["peak"])
+    for cid, meta in COHORTS.items()
 }
 
 plt.figure(figsize=(8, 5))
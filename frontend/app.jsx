@@ -1,4 +1,4 @@
-const { useEffect, useRef, useState } = React;
+const { useEffect, useMemo, useRef, useState } = React;
 
 // ============================================================
 // 0. PATHS & THEME
@@ -13,17 +13,62 @@ const DATA_PATHS = {
 };
 
 const THEME = {
+  background: "#0b1021",
   text: "#94a3b8",
   grid: "rgba(255, 255, 255, 0.06)",
   tooltipBg: "rgba(15, 22, 41, 0.9)",
   tooltipBorder: "rgba(255, 255, 255, 0.1)",
 };
 
-const SERIES_COLORS = {
-  dotcom: { solid: "#f472b6", fill: "rgba(244, 114, 182, 0.2)" },
-  bigTech: { solid: "#22c55e", fill: "rgba(34, 197, 94, 0.2)" },
-  pureAi: { solid: "#38bdf8", fill: "rgba(56, 189, 248, 0.2)" },
-};
+// Cohort registry: every chart, toggle and story bullet iterates over this.
+// Adding a comparison cohort is a new entry here, nothing else.
+//   source     – loader type, path, optional sheet (Excel; default the first)
+//                and window.EMBEDDED_TIDY key (fallback)
+//   peakWindow – [first, last] years treated as the cohort's peak
+// Year/quarter columns are read from each file's header (see
+// detectPeriodColumns).
+const COHORTS = [
+  {
+    id: "dotcom",
+    label: "Dot-com",
+    source: { type: "csv", path: DATA_PATHS.dotcom, embeddedKey: "dotcom" },
+    peakWindow: [1999, 2000],
+    color: { solid: "#f472b6", fill: "rgba(244, 114, 182, 0.2)" },
+  },
+  {
+    id: "bigTech",
+    label: "Big Tech AI",
+    source: {
+      type: "excel",
+      path: DATA_PATHS.bigTech,
+      embeddedKey: "highTech",
+    },
+    peakWindow: [2023, 2025],
+    color: { solid: "#22c55e", fill: "rgba(34, 197, 94, 0.2)" },
+  },
+  {
+    id: "pureAi",
+    label: "Pure-play AI",
+    source: { type: "excel", path: DATA_PATHS.pureAi, embeddedKey: "pureAi" },
+    peakWindow: [2023, 2025],
+    color: { solid: "#38bdf8", fill: "rgba(56, 189, 248, 0.2)" },
+  },
+];
+
+// [1999, 2001] → [1999, 2000, 2001]
+function yearRange([start, end]) {
+  const out = [];
+  for (let y = start; y <= end; y += 1) out.push(y);
+  return out;
+}
+
+// Assigned in order to uploaded cohorts
+const CUSTOM_COLORS = ["#fbbf24", "#a78bfa", "#fb7185", "#2dd4bf", "#f97316"];
+
+function hexToFill(hex, alpha = 0.2) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
 
 const MACRO_COLORS = [
   "#a78bfa",
@@ -41,157 +86,1034 @@ const MACRO_COLUMNS = [
   "NASDAQ Yearly Growth",
 ];
 
+const MACRO_NORMALIZATIONS = ["Z-score (standardize)", "Index to 100", "None"];
+
+// "Compare Era" zoom windows for the second macro chart
+const MACRO_ERAS = {
+  "AI Boom (2022–2025)": [new Date("2022-01-01"), new Date("2025-12-31")],
+  "Dot-com Bubble (1995–2002)": [
+    new Date("1995-01-01"),
+    new Date("2002-12-31"),
+  ],
+  "Housing Bubble (2003–2009)": [
+    new Date("2003-01-01"),
+    new Date("2009-12-31"),
+  ],
+  "Smartphone Era (2007–2015)": [
+    new Date("2007-01-01"),
+    new Date("2015-12-31"),
+  ],
+  Reaganomics: [new Date("1981-01-01"), new Date("1989-12-31")],
+};
+
 // ============================================================
 // 1. Data loading helpers
 // ============================================================
 
-// Strip BOM + outer quotes from a CSV token
-function cleanCsvToken(s) {
-  if (s == null) return "";
-  let t = String(s).trim().replace(/^\uFEFF/, ""); // remove BOM if present
-  if (t.startsWith('"') && t.endsWith('"')) {
-    t = t.slice(1, -1);
+const CSV_DELIMITERS = [",", ";", "\t", "|"];
+
+const BOM_ENCODINGS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+];
+
+// Decode raw bytes: honour a BOM, else strict UTF-8, else Windows-1252
+function decodeCsvBuffer(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const bom = BOM_ENCODINGS.find((b) =>
+    b.bytes.every((byte, i) => bytes[i] === byte)
+  );
+  if (bom) {
+    const text = new TextDecoder(bom.encoding).decode(
+      bytes.subarray(bom.bytes.length)
+    );
+    return { text, encoding: bom.encoding };
+  }
+
+  try {
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return { text, encoding: "utf-8" };
+  } catch (e) {
+    const text = new TextDecoder("windows-1252").decode(bytes);
+    return { text, encoding: "windows-1252" };
   }
-  return t;
 }
 
-async function loadCsvAsObjects(path) {
-  const res = await fetch(path);
-  if (!res.ok) {
-    console.error(`❌ Failed to load CSV at ${path}`, res.status, res.statusText);
-    throw new Error(`Failed to load CSV: ${path}`);
+// Pick the candidate delimiter with the most consistent count (outside
+// quotes) across the first few lines
+function detectDelimiter(text, sampleLines = 10) {
+  let best = ",";
+  let bestScore = 0;
+
+  CSV_DELIMITERS.forEach((d) => {
+    const counts = [];
+    let count = 0;
+    let inQuotes = false;
+    for (let i = 0; i < text.length && counts.length < sampleLines; i += 1) {
+      const ch = text[i];
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (!inQuotes && ch === d) count += 1;
+      else if (!inQuotes && ch === "\n") {
+        counts.push(count);
+        count = 0;
+      }
+    }
+    if (count) counts.push(count);
+    if (!counts.length || !counts[0]) return;
+
+    const consistent = counts.filter((c) => c === counts[0]).length;
+    const score = consistent * counts[0];
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+// RFC 4180 tokenizer: yields one record at a time so large files never
+// need to be split into lines up front. Handles quoted delimiters, ""
+// escapes and newlines inside quotes; unquoted cells are trimmed.
+function* tokenizeCsv(text, delimiter = ",") {
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let inQuotes = false;
+  let line = 1;
+  let startLine = 1;
+  let errors = [];
+
+  const endCell = () => {
+    cells.push(quoted ? cell : cell.trim());
+    cell = "";
+    quoted = false;
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === "\n") line += 1;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      if (cell.trim() === "" && !quoted) {
+        cell = "";
+        quoted = true;
+        inQuotes = true;
+      } else {
+        errors.push(`stray quote in unquoted field ${cells.length + 1}`);
+        cell += ch;
+      }
+    } else if (ch === delimiter) {
+      endCell();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      endCell();
+      yield { cells, line: startLine, errors };
+      cells = [];
+      errors = [];
+      line += 1;
+      startLine = line;
+    } else {
+      if (quoted) {
+        errors.push(`text after closing quote in field ${cells.length + 1}`);
+        quoted = false;
+      }
+      cell += ch;
+    }
   }
-  const text = await res.text();
-  const lines = text.trim().split(/\r?\n/);
-  if (!lines.length) {
-    console.warn(`⚠️ CSV at ${path} is empty`);
-    return [];
+
+  if (inQuotes) errors.push("unterminated quoted field");
+  if (cells.length || cell !== "" || quoted) {
+    endCell();
+    yield { cells, line: startLine, errors };
   }
+}
+
+// Parse CSV text into header-keyed objects plus per-row problems
+function parseCsv(text, options = {}) {
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const rows = [];
+  const errors = [];
+  let headers = null;
+
+  for (const record of tokenizeCsv(text, delimiter)) {
+    const blank = record.cells.every((c) => c === "");
+    if (blank && !record.errors.length) continue;
+
+    record.errors.forEach((message) =>
+      errors.push({ line: record.line, message })
+    );
+
+    if (!headers) {
+      headers = record.cells.map((h) => h.trim());
+      continue;
+    }
+
+    if (record.cells.length !== headers.length) {
+      errors.push({
+        line: record.line,
+        message: `expected ${headers.length} fields, found ${record.cells.length}`,
+      });
+    }
 
-  const headers = lines[0].split(",").map((h) => cleanCsvToken(h));
-  const rows = lines.slice(1).map((line) => {
-    const cells = line.split(",").map((c) => cleanCsvToken(c));
     const row = {};
     headers.forEach((h, i) => {
-      row[h] = cells[i] ?? "";
+      row[h] = record.cells[i] ?? "";
     });
-    return row;
-  });
+    rows.push(row);
+  }
 
+  return { headers: headers || [], rows, delimiter, errors };
+}
+
+// Numbers from vendor exports may carry thousands separators ("1,234.5")
+function parseCsvNumber(value) {
+  if (value == null) return NaN;
+  if (typeof value === "number") return value;
+  const t = String(value).trim().replace(/,(?=\d{3}(\D|$))/g, "");
+  if (t === "") return NaN;
+  return Number(t);
+}
+
+function logCsvErrors(label, errors) {
+  if (!errors.length) return;
+  console.warn(`⚠️ ${label}: ${errors.length} malformed row(s)`);
+  errors.forEach((e) => console.warn(`   line ${e.line}: ${e.message}`));
+}
+
+function csvBufferToObjects(buffer, label) {
+  const { text, encoding } = decodeCsvBuffer(buffer);
+  const { rows, delimiter, errors } = parseCsv(text);
+  if (!rows.length) {
+    console.warn(`⚠️ CSV at ${label} is empty`);
+    return [];
+  }
+
+  console.log(
+    `CSV ${label}: encoding=${encoding}, delimiter=${JSON.stringify(delimiter)}`
+  );
+  logCsvErrors(label, errors);
   console.log("First CSV row keys:", Object.keys(rows[0] || {}));
   return rows;
 }
 
-async function loadExcelAsObjects(path) {
+// Every sheet of a workbook as { name, rows }, in workbook order
+function excelBufferToSheets(buffer) {
+  const wb = XLSX.read(buffer);
+  return wb.SheetNames.map((name) => ({
+    name,
+    rows: XLSX.utils.sheet_to_json(wb.Sheets[name], { defval: "" }),
+  }));
+}
+
+// One sheet's rows: the named one, or the first when sheetName is omitted
+function excelBufferToObjects(buffer, sheetName) {
+  const sheets = excelBufferToSheets(buffer);
+  const sheet = sheetName
+    ? sheets.find((s) => s.name === sheetName)
+    : sheets[0];
+  if (!sheet) throw new Error(`Sheet "${sheetName}" not found`);
+  return sheet.rows;
+}
+
+async function loadCsvAsObjects(path) {
+  const res = await fetch(path);
+  if (!res.ok) {
+    console.error(`❌ Failed to load CSV at ${path}`, res.status, res.statusText);
+    throw new Error(`Failed to load CSV: ${path}`);
+  }
+  return csvBufferToObjects(await res.arrayBuffer(), path);
+}
+
+async function loadExcelAsObjects(path, sheetName) {
   const res = await fetch(path);
   if (!res.ok) {
     console.error(`❌ Failed to load Excel at ${path}`, res.status, res.statusText);
     throw new Error(`Failed to load Excel: ${path}`);
   }
-  const buffer = await res.arrayBuffer();
-  const wb = XLSX.read(buffer);
-  const sheet = wb.Sheets[wb.SheetNames[0]];
-  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
-  return rows;
+  return excelBufferToObjects(await res.arrayBuffer(), sheetName);
+}
+
+// Expected wide-panel layout: one block per company, one row per metric,
+// one column per year. Ranges are sanity bounds, not hard economics.
+// Optional metrics are read when a block has them and are null otherwise;
+// profit and cash lines may be negative.
+const PANEL_SCHEMA = {
+  metrics: [
+    {
+      key: "MarketCap",
+      label: "Market Cap ($bn)",
+      aliases: ["market cap", "marketcap", "market capitalization"],
+      min: 0,
+      max: 50000,
+    },
+    {
+      key: "Revenue",
+      label: "Revenue ($bn)",
+      aliases: ["revenue", "revenues", "sales"],
+      min: 0,
+      max: 10000,
+    },
+    {
+      key: "ValRev",
+      label: "Valuation/Revenue",
+      aliases: ["valuation revenue", "p s", "price sales", "ps"],
+      min: 0,
+      max: 5000,
+    },
+    {
+      key: "NetIncome",
+      label: "Net Income ($bn)",
+      aliases: ["net income", "earnings", "net profit", "net earnings"],
+      min: -2000,
+      max: 5000,
+      optional: true,
+    },
+    {
+      key: "EBITDA",
+      label: "EBITDA ($bn)",
+      aliases: ["ebitda"],
+      min: -2000,
+      max: 5000,
+      optional: true,
+    },
+    {
+      key: "FCF",
+      label: "Free Cash Flow ($bn)",
+      aliases: ["free cash flow", "fcf"],
+      min: -2000,
+      max: 5000,
+      optional: true,
+    },
+    {
+      key: "NetCash",
+      label: "Net Cash ($bn)",
+      aliases: ["net cash", "cash net of debt", "net cash position"],
+      min: -5000,
+      max: 5000,
+      optional: true,
+    },
+    {
+      key: "EV",
+      label: "Enterprise Value ($bn)",
+      aliases: ["enterprise value", "ev"],
+      min: -1000,
+      max: 60000,
+      optional: true,
+    },
+  ],
+  missingTokens: ["", "n/a", "na", "#n/a", "-", "—", "null", "none"],
+};
+
+// "Market Cap ($bn)" → "market cap" so near-miss spellings still match
+function normalizeMetricName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function matchMetric(name) {
+  const norm = normalizeMetricName(name);
+  if (!norm) return null;
+  return (
+    PANEL_SCHEMA.metrics.find(
+      (m) =>
+        normalizeMetricName(m.label) === norm || m.aliases.includes(norm)
+    ) || null
+  );
+}
+
+function createQualityReport(label) {
+  return {
+    label,
+    source: null,
+    rows: 0,
+    companies: 0,
+    records: 0,
+    issues: [],
+    missingCells: [],
+    coercedValues: [],
+    skippedRows: [],
+  };
+}
+
+// Parse one metric cell against the schema; blanks are "missing", junk is
+// "coerced" to null. Zero is a real value and is kept.
+function validateCell(metric, raw, where, report) {
+  const token = String(raw ?? "").trim().toLowerCase();
+  if (PANEL_SCHEMA.missingTokens.includes(token)) {
+    report.missingCells.push({ ...where, metric: metric.key });
+    return null;
+  }
+
+  const num = parseCsvNumber(raw);
+  if (!Number.isFinite(num)) {
+    report.coercedValues.push({
+      ...where,
+      metric: metric.key,
+      raw: String(raw),
+      reason: "not a number",
+    });
+    return null;
+  }
+  if (num < metric.min || num > metric.max) {
+    report.coercedValues.push({
+      ...where,
+      metric: metric.key,
+      raw: String(raw),
+      reason: `outside ${metric.min}–${metric.max}`,
+    });
+    return null;
+  }
+  return num;
+}
+
+// Panel columns are annual ("1999") or quarterly ("2024Q3", "2024 Q3",
+// "Q3 2024"). A record's Year is the period's start as a fractional year
+// (2024Q3 → 2024.5), so sorting, spans and offsets work for both; peak
+// windows stay in whole calendar years (see calendarYear).
+const PERIOD_TYPES = {
+  year: { label: "Year", perYear: 1 },
+  quarter: { label: "Quarter", perYear: 4 },
+};
+
+// Header cell → { key, time, type }, or null when it is not a period
+function parsePeriodHeader(header) {
+  const key = String(header).trim();
+  if (/^\d{4}$/.test(key)) return { key, time: Number(key), type: "year" };
+  const m =
+    key.match(/^(\d{4})\s*-?\s*Q([1-4])$/i) ||
+    key.match(/^Q([1-4])\s*-?\s*(\d{4})$/i);
+  if (!m) return null;
+  const [year, quarter] = /^Q/i.test(key) ? [m[2], m[1]] : [m[1], m[2]];
+  return {
+    key,
+    time: Number(year) + (Number(quarter) - 1) / 4,
+    type: "quarter",
+  };
+}
+
+// Period columns from the header, in time order
+function detectPeriodColumns(rows) {
+  const header = new Set(rows.flatMap((r) => Object.keys(r)));
+  return Array.from(header)
+    .map(parsePeriodHeader)
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+}
+
+// Explicit year lists (1999) still work wherever periods are expected
+function toPeriod(p) {
+  return typeof p === "number"
+    ? { key: String(p), time: p, type: "year" }
+    : p;
+}
+
+function calendarYear(time) {
+  return Math.floor(time);
+}
+
+// 2024 → "2024", 2024.5 → "2024Q3"; quarterly panels name Q1 too
+function formatPeriod(time, type = "year") {
+  if (time == null) return "";
+  const year = calendarYear(time);
+  const quarter = (time - year) * 4 + 1;
+  return type === "quarter" || quarter !== 1
+    ? `${year}Q${quarter}`
+    : String(year);
+}
+
+// "quarter" as soon as any record sits inside a year
+function periodTypeOf(records) {
+  return records.some((r) => r.Year !== calendarYear(r.Year))
+    ? "quarter"
+    : "year";
+}
+
+// Spacing between consecutive periods, in years (1 or 0.25)
+function periodStep(types) {
+  const perYear = types.map(
+    (t) => (PERIOD_TYPES[t] || PERIOD_TYPES.year).perYear
+  );
+  return 1 / Math.max(1, ...perYear);
 }
 
-// Convert "Company/Metric/year columns" → tidy panel
-function tidyPanelJS(rows, years) {
+// Convert "Company/Metric/period columns" → tidy panel + data-quality report.
+// A block is a Company row plus the unnamed rows under it, whatever its size.
+// periods defaults to every year/quarter column in the header.
+function validatePanel(rows, periods, label) {
+  const report = createQualityReport(label);
   const records = [];
-  let i = 0;
+  report.rows = rows.length;
+
+  const header = new Set(rows.flatMap((r) => Object.keys(r)));
+  ["Company", "Metric"].forEach((col) => {
+    if (!header.has(col)) {
+      report.issues.push({ level: "error", message: `missing "${col}" column` });
+    }
+  });
+  const wanted = (periods || detectPeriodColumns(rows)).map(toPeriod);
+  const presentPeriods = wanted.filter((p) => header.has(p.key));
+  wanted
+    .filter((p) => !header.has(p.key))
+    .forEach((p) =>
+      report.issues.push({
+        level: "warning",
+        message: `${PERIOD_TYPES[p.type].label.toLowerCase()} column ${
+          p.key
+        } not found`,
+      })
+    );
+  if (new Set(presentPeriods.map((p) => p.time)).size < presentPeriods.length) {
+    report.issues.push({
+      level: "warning",
+      message: "duplicate period columns; the first of each is used",
+    });
+  }
 
+  let i = 0;
   while (i < rows.length) {
-    const base = rows[i];
-    const company = base["Company"];
+    const company = String(rows[i]["Company"] ?? "").trim();
     if (!company) {
+      const blank = Object.values(rows[i]).every(
+        (v) => String(v ?? "").trim() === ""
+      );
+      if (!blank) {
+        report.skippedRows.push({
+          row: i + 2,
+          reason: "metric row without a company block",
+        });
+      }
       i += 1;
       continue;
     }
 
-    const block = rows.slice(i, i + 3);
-    const mcRow = block.find((r) => r["Metric"] === "Market Cap ($bn)") || {};
-    const revRow = block.find((r) => r["Metric"] === "Revenue ($bn)") || {};
-    const vrRow = block.find((r) => r["Metric"] === "Valuation/Revenue") || {};
-
-    years.forEach((y) => {
-      const col = String(y);
-      records.push({
-        Company: company,
-        Year: y,
-        MarketCap: Number(mcRow[col]) || null,
-        Revenue: Number(revRow[col]) || null,
-        ValRev: Number(vrRow[col]) || null,
+    let end = i + 1;
+    while (
+      end < rows.length &&
+      !String(rows[end]["Company"] ?? "").trim() &&
+      String(rows[end]["Metric"] ?? "").trim()
+    ) {
+      end += 1;
+    }
+
+    const byMetric = {};
+    rows.slice(i, end).forEach((r, offset) => {
+      const metric = matchMetric(r["Metric"]);
+      const rowNum = i + offset + 2;
+      if (!metric) {
+        report.skippedRows.push({
+          row: rowNum,
+          reason: `${company}: unknown metric "${r["Metric"]}"`,
+        });
+      } else if (byMetric[metric.key]) {
+        report.skippedRows.push({
+          row: rowNum,
+          reason: `${company}: duplicate ${metric.label} row`,
+        });
+      } else {
+        if (String(r["Metric"]).trim() !== metric.label) {
+          report.issues.push({
+            level: "warning",
+            message: `${company}: "${r["Metric"]}" read as ${metric.label}`,
+          });
+        }
+        byMetric[metric.key] = r;
+      }
+    });
+
+    const required = PANEL_SCHEMA.metrics.filter((m) => !m.optional);
+    if (end - i < required.length || end - i > PANEL_SCHEMA.metrics.length) {
+      report.issues.push({
+        level: "warning",
+        message: `${company}: block has ${end - i} rows, expected ${required.length}–${PANEL_SCHEMA.metrics.length}`,
+      });
+    }
+    required
+      .filter((m) => !byMetric[m.key])
+      .forEach((m) =>
+        report.issues.push({
+          level: "warning",
+          message: `${company}: no ${m.label} row`,
+        })
+      );
+
+    const seen = new Set();
+    presentPeriods.forEach((p) => {
+      if (seen.has(p.time)) return;
+      seen.add(p.time);
+      const record = { Company: company, Year: p.time };
+      PANEL_SCHEMA.metrics.forEach((m) => {
+        const row = byMetric[m.key];
+        record[m.key] = row
+          ? validateCell(m, row[p.key], { company, year: p.key }, report)
+          : null;
       });
+      records.push(deriveMetrics(record));
     });
 
-    i += 3;
+    report.companies += 1;
+    i = end;
+  }
+
+  report.records = records.length;
+  if (records.length && !records.some((r) => r.ValRev > 0)) {
+    report.issues.push({
+      level: "error",
+      message: "no positive Valuation/Revenue values",
+    });
   }
+  return { records, report };
+}
 
-  return records;
+// Ratios built from the metrics: P/E (profitable companies only), EV/Sales
+// and net margin. EV falls back to market cap less net cash.
+function deriveMetrics(record) {
+  const ratio = (num, den) => (num != null && den > 0 ? num / den : null);
+  const ev =
+    record.EV ??
+    (record.MarketCap != null && record.NetCash != null
+      ? record.MarketCap - record.NetCash
+      : null);
+  return {
+    ...record,
+    EV: ev,
+    PE: ratio(record.MarketCap, record.NetIncome),
+    EVSales: ev > 0 ? ratio(ev, record.Revenue) : null,
+    Margin: ratio(record.NetIncome, record.Revenue),
+  };
 }
 
-// CSV → panel with strong logging
-async function loadDotcomPanel() {
-  try {
-    const rows = await loadCsvAsObjects(DATA_PATHS.dotcom);
-    console.log(`✅ Loaded Dotcom.csv, raw rows: ${rows.length}`);
+// Records only, for callers that don't surface the quality report
+function tidyPanelJS(rows, periods) {
+  return validatePanel(rows, periods).records;
+}
 
-    const panel = tidyPanelJS(rows, [1996, 1997, 1998, 1999, 2000]);
-    console.log(`✅ Tidy dot-com panel records: ${panel.length}`);
+// Range/missing checks for panels that are already tidy (embedded snapshot)
+function validateTidyRecords(records, label) {
+  const report = createQualityReport(label);
+  report.rows = records.length;
+  report.records = records.length;
+  report.companies = new Set(records.map((r) => r.Company)).size;
 
-    const usable = panel.filter((r) => r.ValRev != null && r.ValRev > 0);
-    if (!usable.length) {
-      console.warn(
-        "⚠️ Dot-com data loaded but no positive ValRev values found. " +
-          "Check that the CSV has a 'Valuation/Revenue' column with numeric values."
-      );
-    }
-    return panel;
+  const cleaned = records.map((r) => {
+    const next = { ...r };
+    PANEL_SCHEMA.metrics
+      .filter((m) => !m.optional || r[m.key] != null)
+      .forEach((m) => {
+        next[m.key] = validateCell(
+          m,
+          r[m.key],
+          { company: r.Company, year: r.Year },
+          report
+        );
+      });
+    return deriveMetrics(next);
+  });
+  return { records: cleaned, report };
+}
+
+// CSV → panel + data-quality report; periods = null reads the header
+async function loadCsvPanel(path, periods, label) {
+  try {
+    const rows = await loadCsvAsObjects(path);
+    console.log(`✅ Loaded ${label}, raw rows: ${rows.length}`);
+    const { records, report } = validatePanel(rows, periods, label);
+    return { panel: records, report };
   } catch (e) {
-    console.error("❌ Dot-com panel failed to load:", e);
-    return [];
+    console.error(`❌ Failed to load ${label}:`, e);
+    return { panel: [], report: null };
   }
 }
 
-// Excel → panel with logging
-async function loadExcelPanel(path, years, label) {
+// Excel → panel + data-quality report; periods = null reads the header,
+// sheet = null reads the first sheet
+async function loadExcelPanel(path, periods, label, sheet) {
   try {
-    const rows = await loadExcelAsObjects(path);
+    const rows = await loadExcelAsObjects(path, sheet);
     console.log(`✅ Loaded ${label}, raw rows: ${rows.length}`);
-    const panel = tidyPanelJS(rows, years);
-    console.log(`✅ Tidy ${label} panel records: ${panel.length}`);
-    return panel;
+    const { records, report } = validatePanel(rows, periods, label);
+    return { panel: records, report };
   } catch (e) {
     console.error(`❌ Failed to load ${label}:`, e);
-    return [];
+    return { panel: [], report: null };
+  }
+}
+
+const SOURCE_LABELS = {
+  live: "live file",
+  embedded: "embedded snapshot",
+  missing: "unavailable",
+  upload: "uploaded file",
+};
+
+function loadEmbeddedPanel(key) {
+  const embedded = window.EMBEDDED_TIDY;
+  if (!embedded || !Array.isArray(embedded[key])) return [];
+  return embedded[key];
+}
+
+// Live file first, then the embedded snapshot (works offline / via file://)
+async function loadCohortPanel(loadLive, embeddedKey, label) {
+  const live = await loadLive();
+  if (live.panel.length) {
+    return {
+      panel: live.panel,
+      source: "live",
+      report: { ...live.report, label, source: "live" },
+    };
+  }
+
+  const embedded = loadEmbeddedPanel(embeddedKey);
+  if (embedded.length) {
+    console.warn(
+      `⚠️ ${label}: live file unavailable, using embedded snapshot (${embedded.length} records)`
+    );
+    const { records, report } = validateTidyRecords(embedded, label);
+    return {
+      panel: records,
+      source: "embedded",
+      report: { ...report, source: "embedded" },
+    };
+  }
+
+  console.error(`❌ ${label}: no live or embedded data available`);
+  const report = createQualityReport(label);
+  report.source = "missing";
+  report.issues.push({ level: "error", message: "no data available" });
+  return { panel: [], source: "missing", report };
+}
+
+const PANEL_LOADERS = {
+  csv: loadCsvPanel,
+  excel: loadExcelPanel,
+};
+
+// Load one registry entry through its source definition; year columns come
+// from the file header, so a panel can grow (e.g. dot-com 1995–2005) without
+// touching the registry
+function loadRegisteredCohort(cohort) {
+  const { type, path, sheet, embeddedKey } = cohort.source;
+  const where = sheet ? `${path}#${sheet}` : path;
+  return loadCohortPanel(
+    () => PANEL_LOADERS[type](path, null, `${where} (${cohort.label})`, sheet),
+    embeddedKey,
+    cohort.label
+  );
+}
+
+// ---------- Custom cohort uploads ----------
+
+// Peak year = calendar year of the highest mean P/S, padded by a year
+// either side
+function defaultPeakWindow(records) {
+  const { years, logVals } = groupLogPsByYear(records);
+  if (!years.length) return [0, -1];
+  const peak = calendarYear(years[logVals.indexOf(Math.max(...logVals))]);
+  return [
+    Math.max(peak - 1, calendarYear(years[0])),
+    Math.min(peak + 1, calendarYear(years[years.length - 1])),
+  ];
+}
+
+// A workbook may carry one metadata sheet describing its cohort sheets: a
+// row per sheet with Sheet, Label, Color ("#rrggbb") and Peak Start / Peak
+// End (or a single "Peak" cell like "2023-2025"). Every cell is optional.
+const METADATA_SHEET_NAMES = ["metadata", "meta", "cohorts"];
+
+function isMetadataSheet(name) {
+  return METADATA_SHEET_NAMES.includes(normalizeMetricName(name));
+}
+
+// Sheets with Company and Metric columns hold panels; notes sheets do not
+function isPanelSheet(rows) {
+  const header = new Set(rows.flatMap((r) => Object.keys(r)));
+  return header.has("Company") && header.has("Metric");
+}
+
+// Metadata rows → { [sheet]: { label, colorHex, peakWindow } }
+function parseCohortMetadata(rows) {
+  const cell = (row, ...names) => {
+    const key = Object.keys(row).find((k) =>
+      names.includes(normalizeMetricName(k))
+    );
+    return key == null ? "" : String(row[key]).trim();
+  };
+
+  return rows.reduce((acc, row) => {
+    const sheet = cell(row, "sheet", "sheet name");
+    if (!sheet) return acc;
+    const color = cell(row, "color", "colour");
+    const [first, last] = (
+      cell(row, "peak") ||
+      `${cell(row, "peak start", "peak from")}-${cell(
+        row,
+        "peak end",
+        "peak to"
+      )}`
+    )
+      .split(/\s*[-–]\s*/)
+      .map((v) => parseInt(v, 10));
+    const lastYear = Number.isFinite(last) ? last : first;
+    return {
+      ...acc,
+      [sheet]: {
+        label: cell(row, "label", "cohort", "name") || null,
+        colorHex: /^#[0-9a-f]{6}$/i.test(color) ? color : null,
+        peakWindow:
+          Number.isFinite(first) && first <= lastYear
+            ? [first, lastYear]
+            : null,
+      },
+    };
+  }, {});
+}
+
+// One dropped sheet (or CSV) → panel + report, labelled from the metadata
+function readCohortSheet(rows, label, meta = {}) {
+  const periods = detectPeriodColumns(rows);
+  const name = meta.label || label;
+  const { records, report } = validatePanel(rows, periods, name);
+  if (!periods.length) {
+    report.issues.push({
+      level: "error",
+      message: "no year or quarter columns found",
+    });
+  }
+  return {
+    label: name,
+    records,
+    report: { ...report, source: "upload" },
+    colorHex: meta.colorHex || null,
+    peakWindow: meta.peakWindow || null,
+  };
+}
+
+// Parse a dropped CSV/XLSX in the Company/Metric/period layout. Workbooks
+// yield one cohort per panel sheet (notes sheets are skipped); with no panel
+// sheet at all, the first sheet is read so its report explains why.
+async function readCohortFile(file) {
+  const buffer = await file.arrayBuffer();
+  const baseName = file.name.replace(/\.[^.]+$/, "");
+  if (/\.csv$/i.test(file.name)) {
+    const rows = csvBufferToObjects(buffer, file.name);
+    return { fileName: file.name, sheets: [readCohortSheet(rows, baseName)] };
   }
+
+  const all = excelBufferToSheets(buffer);
+  const metaSheet = all.find((s) => isMetadataSheet(s.name));
+  const meta = metaSheet ? parseCohortMetadata(metaSheet.rows) : {};
+  const rest = all.filter((s) => s !== metaSheet);
+  const panels = rest.filter((s) => isPanelSheet(s.rows));
+  const chosen = panels.length ? panels : rest.slice(0, 1);
+  const single = chosen.length === 1;
+  return {
+    fileName: file.name,
+    sheets: chosen.map((s) => ({
+      ...readCohortSheet(s.rows, single ? baseName : s.name, meta[s.name]),
+      sheet: s.name,
+    })),
+  };
 }
 
 // ============================================================
 // 2. Valuation helpers
 // ============================================================
 
+// [first, last] calendar year present in a tidy panel; [0, -1] when empty
+function yearSpan(records) {
+  if (!records.length) return [0, -1];
+  const years = records.map((r) => calendarYear(r.Year));
+  return [Math.min(...years), Math.max(...years)];
+}
+
+// A [first, last] window cut down to a cohort's year span; null when the two
+// don't overlap, which includes every window while the panel is still empty
+function clampWindow(window, [minYear, maxYear]) {
+  if (!window) return null;
+  const first = Math.max(window[0], minYear);
+  const last = Math.min(window[1], maxYear);
+  return first <= last ? [first, last] : null;
+}
+
 function safeLogArray(values) {
   return values
     .filter((v) => v != null && v > 0)
     .map((v) => Math.log(v));
 }
 
-function groupAvgLogPsByYear(records) {
+function sumOf(values) {
+  return values.reduce((s, v) => s + v, 0);
+}
+
+// Cross-sectional P/S statistics; each takes one year's records (all with
+// ValRev > 0) and returns a P/S level, or null if it cannot be computed
+const AGGREGATIONS = {
+  mean: {
+    label: "Mean",
+    fn: (rows) => sumOf(rows.map((r) => r.ValRev)) / rows.length,
+  },
+  median: {
+    label: "Median",
+    fn: (rows) =>
+      percentile(
+        rows.map((r) => r.ValRev).sort((a, b) => a - b),
+        0.5
+      ),
+  },
+  geometric: {
+    label: "Geometric mean",
+    fn: (rows) =>
+      Math.exp(sumOf(rows.map((r) => Math.log(r.ValRev))) / rows.length),
+  },
+  capWeighted: {
+    label: "Market-cap-weighted",
+    fn: (rows) => {
+      const w = rows.filter((r) => r.MarketCap > 0);
+      const total = sumOf(w.map((r) => r.MarketCap));
+      if (!total) return null;
+      return sumOf(w.map((r) => r.MarketCap * r.ValRev)) / total;
+    },
+  },
+  revenueWeighted: {
+    label: "Pooled (Σ cap / Σ revenue for P/S)",
+    fn: (rows) => {
+      const legs = rows
+        .map(ratioLegs)
+        .filter(([num, den]) => num > 0 && den > 0);
+      const base = sumOf(legs.map(([, den]) => den));
+      return base ? sumOf(legs.map(([num]) => num)) / base : null;
+    },
+  },
+  trimmed: {
+    label: "Trimmed mean (20%)",
+    fn: (rows) => {
+      const sorted = rows.map((r) => r.ValRev).sort((a, b) => a - b);
+      const cut = Math.floor(sorted.length * 0.2);
+      const kept = sorted.slice(cut, sorted.length - cut);
+      return sumOf(kept) / kept.length;
+    },
+  },
+};
+
+// Valuation multiples every story chart can switch between. Each is a
+// record field (see deriveMetrics) and the two legs it is the ratio of;
+// noun is the leg in running text and key names it in exports. isoLevels
+// are the constant-multiple diagonals on the scale chart.
+const MARKET_CAP_LEG = {
+  field: "MarketCap",
+  label: "Market Cap",
+  noun: "market cap",
+  key: "marketCap",
+};
+const REVENUE_LEG = {
+  field: "Revenue",
+  label: "Revenue",
+  noun: "revenue",
+  key: "revenue",
+};
+
+const VALUATION_METRICS = {
+  ps: {
+    label: "P/S",
+    title: "Valuation / Revenue",
+    field: "ValRev",
+    numerator: MARKET_CAP_LEG,
+    denominator: REVENUE_LEG,
+    isoLevels: [5, 10, 20],
+  },
+  pe: {
+    label: "P/E",
+    title: "Market Cap / Net Income",
+    field: "PE",
+    numerator: MARKET_CAP_LEG,
+    denominator: {
+      field: "NetIncome",
+      label: "Net Income",
+      noun: "net income",
+      key: "netIncome",
+    },
+    isoLevels: [15, 30, 60],
+  },
+  evSales: {
+    label: "EV/Sales",
+    title: "Enterprise Value / Revenue",
+    field: "EVSales",
+    numerator: { field: "EV", label: "EV", noun: "EV", key: "ev" },
+    denominator: REVENUE_LEG,
+    isoLevels: [5, 10, 20],
+  },
+};
+
+function valuationMetric(key) {
+  return Object.hasOwn(VALUATION_METRICS, key)
+    ? VALUATION_METRICS[key]
+    : VALUATION_METRICS.ps;
+}
+
+// Point the P/S machinery at another multiple: ValRev carries the chosen
+// ratio and Numerator/Denominator its legs. Market cap and revenue stay as
+// they are, so drawdowns and scenarios are unaffected.
+function projectValuation(records, key) {
+  const m = valuationMetric(key);
+  return records.map((r) => ({
+    ...r,
+    ValRev: r[m.field] ?? null,
+    Numerator: r[m.numerator.field] ?? null,
+    Denominator: r[m.denominator.field] ?? null,
+  }));
+}
+
+// [numerator, denominator] of a record's multiple (P/S legs if unprojected)
+function ratioLegs(r) {
+  return [r.Numerator ?? r.MarketCap, r.Denominator ?? r.Revenue];
+}
+
+// Metrics with at least one usable value, in registry order
+function availableMetrics(records) {
+  return Object.keys(VALUATION_METRICS).filter((k) =>
+    records.some((r) => r[VALUATION_METRICS[k].field] > 0)
+  );
+}
+
+function groupLogPsByYear(records, stat = "mean") {
+  const aggregate = (AGGREGATIONS[stat] || AGGREGATIONS.mean).fn;
   const byYear = new Map();
   records.forEach((r) => {
     if (r.ValRev != null && r.ValRev > 0) {
       if (!byYear.has(r.Year)) byYear.set(r.Year, []);
-      byYear.get(r.Year).push(r.ValRev);
+      byYear.get(r.Year).push(r);
     }
   });
 
-  const years = Array.from(byYear.keys()).sort((a, b) => a - b);
-  const logVals = years.map((y) => {
-    const arr = byYear.get(y);
-    const avg = arr.reduce((s, v) => s + v, 0) / arr.length;
-    return Math.log(avg);
-  });
+  const years = [];
+  const logVals = [];
+  Array.from(byYear.keys())
+    .sort((a, b) => a - b)
+    .forEach((y) => {
+      const value = aggregate(byYear.get(y));
+      if (value != null && value > 0) {
+        years.push(y);
+        logVals.push(Math.log(value));
+      }
+    });
 
   return { years, logVals };
 }
@@ -208,23 +1130,45 @@ function percentile(sortedArr, p) {
   );
 }
 
+// Quartiles plus Tukey whiskers: furthest points within 1.5×IQR of the box;
+// anything beyond is an outlier
 function computeBoxStats(logValues) {
   if (!logValues.length) {
-    return { min: null, q1: null, median: null, q3: null, max: null };
+    return {
+      min: null,
+      q1: null,
+      median: null,
+      q3: null,
+      max: null,
+      whiskerLo: null,
+      whiskerHi: null,
+      outliers: [],
+    };
   }
   const sorted = [...logValues].sort((a, b) => a - b);
+  const q1 = percentile(sorted, 0.25);
+  const q3 = percentile(sorted, 0.75);
+  const iqr = q3 - q1;
+  const inside = sorted.filter(
+    (v) => v >= q1 - 1.5 * iqr && v <= q3 + 1.5 * iqr
+  );
+  const whiskerLo = inside[0];
+  const whiskerHi = inside[inside.length - 1];
   return {
     min: sorted[0],
-    q1: percentile(sorted, 0.25),
+    q1,
     median: percentile(sorted, 0.5),
-    q3: percentile(sorted, 0.75),
+    q3,
     max: sorted[sorted.length - 1],
+    whiskerLo,
+    whiskerHi,
+    outliers: sorted.filter((v) => v < whiskerLo || v > whiskerHi),
   };
 }
 
 function medianLogPs(records, years) {
   const vals = records
-    .filter((r) => years.includes(r.Year))
+    .filter((r) => years.includes(calendarYear(r.Year)))
     .map((r) => r.ValRev)
     .filter((v) => v != null && v > 0);
 
@@ -236,29 +1180,910 @@ function medianLogPs(records, years) {
   return Math.log(median);
 }
 
+// Ordinary least squares y = intercept + slope·x over { x, y } points
+function linearFit(points) {
+  const n = points.length;
+  if (n < 3) return null;
+  const mx = sumOf(points.map((p) => p.x)) / n;
+  const my = sumOf(points.map((p) => p.y)) / n;
+  const sxx = sumOf(points.map((p) => (p.x - mx) ** 2));
+  const sxy = sumOf(points.map((p) => (p.x - mx) * (p.y - my)));
+  const syy = sumOf(points.map((p) => (p.y - my) ** 2));
+  if (!sxx) return null;
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: my - slope * mx,
+    r2: syy ? (sxy * sxy) / (sxx * syy) : 1,
+    n,
+  };
+}
+
+// ---------- Company drill-down ----------
+
+// One row per period for a company: its metrics, P/S rank inside the cohort
+// (1 = richest) and its share of the cohort's mean P/S in that period
+function companyPath(records, company) {
+  return records
+    .filter((r) => r.Company === company)
+    .sort((a, b) => a.Year - b.Year)
+    .map((r) => {
+      const peers = records.filter((p) => p.Year === r.Year && p.ValRev > 0);
+      const total = sumOf(peers.map((p) => p.ValRev));
+      const rank =
+        r.ValRev > 0
+          ? peers.filter((p) => p.ValRev > r.ValRev).length + 1
+          : null;
+      return {
+        ...r,
+        rank,
+        peers: peers.length,
+        share: r.ValRev > 0 && total ? r.ValRev / total : null,
+        cohortMean: peers.length ? total / peers.length : null,
+      };
+    });
+}
+
+function listCompanies(records) {
+  return Array.from(new Set(records.map((r) => r.Company)));
+}
+
+// Largest company by market cap in one period, or across the peak window
+// when no period is given; null when nothing there has a market cap
+function topCompany(records, peakWindow, period = null) {
+  const peakYears = yearRange(peakWindow);
+  return records
+    .filter((r) =>
+      period != null
+        ? r.Year === period
+        : peakYears.includes(calendarYear(r.Year))
+    )
+    .filter((r) => r.MarketCap > 0)
+    .reduce((a, r) => (!a || r.MarketCap > a.MarketCap ? r : a), null)
+    ?.Company ?? null;
+}
+
+// Cohort-level picks (a cohort line point, a median bar, an "all companies"
+// total) open that cohort's top company for the period rather than an
+// arbitrary one; null means there is nothing to open
+function resolveDrillPick(cohorts, { cohortId, company, year = null }) {
+  const cohort = cohorts.find((c) => c.id === cohortId);
+  if (!cohort) return null;
+  if (company) return { cohortId, company };
+  const top = topCompany(cohort.records, cohort.peakWindow, year);
+  return top ? { cohortId, company: top } : null;
+}
+
+// ---------- Post-peak drawdowns ----------
+
+// Per company: the market-cap high up to the end of the peak window, the low
+// after it, and the first later period back at or above the high. path is
+// the market cap relative to that high from the peak on (1 = at peak); years
+// and offsets are fractional for quarterly panels.
+function companyDrawdowns(records, peakWindow) {
+  return listCompanies(records)
+    .map((company) => {
+      const path = records
+        .filter((r) => r.Company === company && r.MarketCap > 0)
+        .sort((a, b) => a.Year - b.Year);
+      const before = path.filter(
+        (r) => calendarYear(r.Year) <= peakWindow[1]
+      );
+      if (!before.length) return null;
+      const peak = before.reduce((a, b) => (b.MarketCap > a.MarketCap ? b : a));
+      const after = path.filter((r) => r.Year > peak.Year);
+      const trough = after.length
+        ? after.reduce((a, b) => (b.MarketCap < a.MarketCap ? b : a))
+        : null;
+      const underwater = trough && trough.MarketCap < peak.MarketCap;
+      const recovery = underwater
+        ? after.find(
+            (r) => r.Year > trough.Year && r.MarketCap >= peak.MarketCap
+          )
+        : null;
+      return {
+        company,
+        peakYear: peak.Year,
+        peakCap: peak.MarketCap,
+        troughYear: underwater ? trough.Year : null,
+        troughCap: underwater ? trough.MarketCap : null,
+        drawdown: trough
+          ? Math.min(0, trough.MarketCap / peak.MarketCap - 1)
+          : null,
+        recoveryYear: recovery ? recovery.Year : null,
+        lastYear: path[path.length - 1].Year,
+        path: path
+          .filter((r) => r.Year >= peak.Year)
+          .map((r) => ({
+            offset: r.Year - peak.Year,
+            year: r.Year,
+            ratio: r.MarketCap / peak.MarketCap,
+          })),
+      };
+    })
+    .filter(Boolean);
+}
+
+// ---------- Bootstrap uncertainty ----------
+
+const BOOTSTRAP = { iterations: 1000, level: 0.9, seed: 42 };
+
+// Small seeded PRNG (mulberry32) so intervals are stable across renders
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Percentile interval of statFn over company-level resamples: companies are
+// drawn with replacement and keep all of their records
+function bootstrapByCompany(records, statFn, opts = {}) {
+  const { iterations, level, seed } = { ...BOOTSTRAP, ...opts };
+  const byCompany = new Map();
+  records.forEach((r) => {
+    if (!byCompany.has(r.Company)) byCompany.set(r.Company, []);
+    byCompany.get(r.Company).push(r);
+  });
+  const groups = Array.from(byCompany.values());
+  if (groups.length < 2) return null;
+
+  const rand = seededRandom(seed);
+  const draws = [];
+  for (let i = 0; i < iterations; i += 1) {
+    const sample = [];
+    for (let j = 0; j < groups.length; j += 1) {
+      sample.push(...groups[Math.floor(rand() * groups.length)]);
+    }
+    const value = statFn(sample);
+    if (value != null && Number.isFinite(value)) draws.push(value);
+  }
+  if (!draws.length) return null;
+
+  draws.sort((a, b) => a - b);
+  const tail = (1 - level) / 2;
+  return { lo: percentile(draws, tail), hi: percentile(draws, 1 - tail) };
+}
+
+// Log-space interval of the yearly aggregate, aligned to groupLogPsByYear
+function bootstrapLogPsByYear(records, stat = "mean", years) {
+  const aggregate = (AGGREGATIONS[stat] || AGGREGATIONS.mean).fn;
+  return years.map((y) => {
+    const rows = records.filter(
+      (r) => r.Year === y && r.ValRev != null && r.ValRev > 0
+    );
+    const ci = bootstrapByCompany(rows, (sample) => aggregate(sample));
+    if (!ci || !(ci.lo > 0) || !(ci.hi > 0)) return null;
+    return { lo: Math.log(ci.lo), hi: Math.log(ci.hi) };
+  });
+}
+
+// Log-space interval of the peak-window median (companies resampled)
+function bootstrapMedianLogPs(records, years) {
+  const rows = records.filter(
+    (r) =>
+      years.includes(calendarYear(r.Year)) && r.ValRev != null && r.ValRev > 0
+  );
+  const ci = bootstrapByCompany(rows, (sample) =>
+    percentile(
+      sample.map((r) => r.ValRev).sort((a, b) => a - b),
+      0.5
+    )
+  );
+  if (!ci) return null;
+  return { lo: Math.log(ci.lo), hi: Math.log(ci.hi) };
+}
+
+// ---------- Significance tests ----------
+// Two-sample tests on peak log(P/S) samples. Peak samples pool company-years,
+// so p-values are indicative rather than exact.
+
+// Average ranks (ties share the mean rank) over the pooled samples
+function rankPooled(a, b) {
+  const pooled = [
+    ...a.map((v) => ({ v, g: 0 })),
+    ...b.map((v) => ({ v, g: 1 })),
+  ].sort((x, y) => x.v - y.v);
+  const ranks = new Array(pooled.length);
+  const tieSizes = [];
+  let i = 0;
+  while (i < pooled.length) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].v === pooled[i].v) j += 1;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k += 1) ranks[k] = rank;
+    if (j > i) tieSizes.push(j - i + 1);
+    i = j + 1;
+  }
+  return { pooled, ranks, tieSizes };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t -
+      0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Exact null distribution of U (no ties): counts of U = u for sizes m, n
+function exactUCounts(m, n) {
+  const memo = new Map();
+  const count = (u, mm, nn) => {
+    if (u < 0) return 0;
+    if (mm === 0 || nn === 0) return u === 0 ? 1 : 0;
+    const key = `${u},${mm},${nn}`;
+    if (!memo.has(key)) {
+      memo.set(key, count(u - nn, mm - 1, nn) + count(u, mm, nn - 1));
+    }
+    return memo.get(key);
+  };
+  const counts = [];
+  for (let u = 0; u <= m * n; u += 1) counts.push(count(u, m, n));
+  return counts;
+}
+
+// Two-sided Mann-Whitney U. Exact for small tie-free samples, otherwise the
+// normal approximation with tie and continuity corrections. Effect size is
+// the rank-biserial correlation (+1 = every a above every b).
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (!n1 || !n2) return null;
+
+  const { pooled, ranks, tieSizes } = rankPooled(a, b);
+  const r1 = sumOf(ranks.filter((_, i) => pooled[i].g === 0));
+  const u1 = r1 - (n1 * (n1 + 1)) / 2;
+  const u = Math.min(u1, n1 * n2 - u1);
+  const effect = (2 * u1) / (n1 * n2) - 1;
+
+  let p;
+  if (!tieSizes.length && n1 * n2 <= 400) {
+    const counts = exactUCounts(n1, n2);
+    const total = sumOf(counts);
+    p = Math.min(1, (2 * sumOf(counts.slice(0, Math.floor(u) + 1))) / total);
+  } else {
+    const n = n1 + n2;
+    const tieTerm = sumOf(tieSizes.map((t) => t ** 3 - t)) / (n * (n - 1));
+    const sigma = Math.sqrt(((n1 * n2) / 12) * (n + 1 - tieTerm));
+    const z = sigma ? (Math.abs(u1 - (n1 * n2) / 2) - 0.5) / sigma : 0;
+    p = Math.min(1, 2 * (1 - normalCdf(Math.max(z, 0))));
+  }
+  return { u: u1, p, effect };
+}
+
+function medianOf(values) {
+  return percentile([...values].sort((x, y) => x - y), 0.5);
+}
+
+// Two-sided permutation test on the difference in medians (a − b); in log
+// space exp(diff) is the ratio of median P/S
+function permutationMedianTest(a, b, iterations = 5000, seed = BOOTSTRAP.seed) {
+  if (!a.length || !b.length) return null;
+  const observed = medianOf(a) - medianOf(b);
+  const pooled = [...a, ...b];
+  const rand = seededRandom(seed);
+  let extreme = 0;
+
+  for (let i = 0; i < iterations; i += 1) {
+    // Fisher–Yates on a copy, then split at a.length
+    const shuffled = [...pooled];
+    for (let k = shuffled.length - 1; k > 0; k -= 1) {
+      const j = Math.floor(rand() * (k + 1));
+      [shuffled[k], shuffled[j]] = [shuffled[j], shuffled[k]];
+    }
+    const diff =
+      medianOf(shuffled.slice(0, a.length)) -
+      medianOf(shuffled.slice(a.length));
+    if (Math.abs(diff) >= Math.abs(observed) - 1e-12) extreme += 1;
+  }
+  return { diff: observed, p: (extreme + 1) / (iterations + 1) };
+}
+
+// Pooled sizes up to this get the exact KS null distribution
+const KS_EXACT_MAX_N = 100;
+
+// Exact two-sided P(D ≥ d) for tie-free samples of sizes m and n: the share
+// of the C(m+n, m) lattice paths that leave the band |i/m − j/n| < d
+function exactKsP(d, m, n) {
+  const inside = (i, j) => Math.abs(i / m - j / n) < d - 1e-12;
+  let row = new Array(n + 1).fill(0);
+  for (let i = 0; i <= m; i += 1) {
+    const next = new Array(n + 1).fill(0);
+    for (let j = 0; j <= n; j += 1) {
+      if (!inside(i, j)) continue;
+      next[j] =
+        i === 0 && j === 0
+          ? 1
+          : (i > 0 ? row[j] : 0) + (j > 0 ? next[j - 1] : 0);
+    }
+    row = next;
+  }
+  let total = 1;
+  for (let k = 1; k <= m; k += 1) total = (total * (n + k)) / k;
+  return Math.min(1, Math.max(0, 1 - row[n] / total));
+}
+
+// Two-sample Kolmogorov-Smirnov. Exact p-value up to KS_EXACT_MAX_N pooled
+// values (the asymptotic one is far too small at peak-sample sizes), else
+// asymptotic with Numerical Recipes' small-sample adjustment of the
+// effective n.
+function kolmogorovSmirnov(a, b) {
+  if (!a.length || !b.length) return null;
+  const sa = [...a].sort((x, y) => x - y);
+  const sb = [...b].sort((x, y) => x - y);
+  let i = 0;
+  let j = 0;
+  let d = 0;
+  while (i < sa.length && j < sb.length) {
+    const v = Math.min(sa[i], sb[j]);
+    while (i < sa.length && sa[i] === v) i += 1;
+    while (j < sb.length && sb[j] === v) j += 1;
+    d = Math.max(d, Math.abs(i / sa.length - j / sb.length));
+  }
+
+  if (sa.length + sb.length <= KS_EXACT_MAX_N) {
+    return { d, p: exactKsP(d, sa.length, sb.length), exact: true };
+  }
+  const en = Math.sqrt((sa.length * sb.length) / (sa.length + sb.length));
+  const lambda = (en + 0.12 + 0.11 / en) * d;
+  let p = 0;
+  for (let k = 1; k <= 100; k += 1) {
+    const term = 2 * (-1) ** (k - 1) * Math.exp(-2 * k * k * lambda * lambda);
+    p += term;
+    if (Math.abs(term) < 1e-10) break;
+  }
+  return {
+    d,
+    p: Math.min(1, Math.max(0, lambda < 1e-3 ? 1 : p)),
+    exact: false,
+  };
+}
+
+// Every cohort pair, tested on peakLog samples
+function compareCohortPeaks(cohorts) {
+  const pairs = [];
+  cohorts.forEach((a, i) => {
+    cohorts.slice(i + 1).forEach((b) => {
+      if (a.peakLog.length < 2 || b.peakLog.length < 2) return;
+      pairs.push({
+        a,
+        b,
+        mwu: mannWhitneyU(a.peakLog, b.peakLog),
+        perm: permutationMedianTest(a.peakLog, b.peakLog),
+        ks: kolmogorovSmirnov(a.peakLog, b.peakLog),
+      });
+    });
+  });
+  return pairs;
+}
+
+// ---------- Scenario simulator ----------
+// "What would it take?" for a cohort's latest valuations: the revenue CAGR
+// that brings each company to a target P/S at constant market cap, or the
+// market-cap drawdown that does it at flat revenue. SCENARIO_REFERENCE is the
+// historical episode those numbers are compared with.
+
+const SCENARIO_REFERENCE = { cohortId: "dotcom", years: [2000, 2003] };
+
+function latestCompanyRows(records) {
+  const latest = new Map();
+  records
+    .filter((r) => r.MarketCap > 0 && r.Revenue > 0)
+    .forEach((r) => {
+      const prev = latest.get(r.Company);
+      if (!prev || r.Year > prev.Year) latest.set(r.Company, r);
+    });
+  return Array.from(latest.values());
+}
+
+function impliedScenario(records, { targetPs, horizon }) {
+  return latestCompanyRows(records).map((r) => {
+    const ps = r.MarketCap / r.Revenue;
+    return {
+      company: r.Company,
+      year: r.Year,
+      ps,
+      requiredCagr: (ps / targetPs) ** (1 / horizon) - 1,
+      flatRevenueChange: targetPs / ps - 1,
+    };
+  });
+}
+
+// What reference companies actually did between the two years; the end year
+// falls back to the latest one the panel has. null when nothing overlaps.
+// Quarterly panels compare each company's last usable quarter of each year,
+// and growth is annualized over the time actually between the two periods.
+function realizedAftermath(records, [from, to]) {
+  const lastYear = Math.min(
+    to,
+    Math.max(...records.map((r) => calendarYear(r.Year)))
+  );
+  if (!(lastYear > from)) return null;
+  const rows = listCompanies(records)
+    .map((company) => {
+      const at = (y) =>
+        records
+          .filter(
+            (r) =>
+              r.Company === company &&
+              calendarYear(r.Year) === y &&
+              r.MarketCap > 0 &&
+              r.Revenue > 0
+          )
+          .reduce((last, r) => (!last || r.Year > last.Year ? r : last), null);
+      const start = at(from);
+      const end = at(lastYear);
+      if (!start || !end) return null;
+      return {
+        company,
+        revenueCagr:
+          (end.Revenue / start.Revenue) ** (1 / (end.Year - start.Year)) - 1,
+        marketCapChange: end.MarketCap / start.MarketCap - 1,
+        psFrom: start.MarketCap / start.Revenue,
+        psTo: end.MarketCap / end.Revenue,
+      };
+    })
+    .filter(Boolean);
+  return rows.length ? { years: [from, lastYear], rows } : null;
+}
+
+// ---------- Narrative ----------
+// Story text is filled in from the statistics the charts plot, so it follows
+// cohort toggles, peak windows, the aggregation choice and uploads. Orderings
+// are computed, and the phrasing changes when they flip.
+
+function formatMultiple(v) {
+  return `${v >= 10 ? v.toFixed(0) : v.toFixed(1)}×`;
+}
+
+function formatPercent(v) {
+  return `${Math.round(v * 100)}%`;
+}
+
+// Elapsed time between periods: 3 → "3 years", 1.25 → "1.25 years"
+function formatYears(v) {
+  const n = Number(v.toFixed(2));
+  return `${n} year${n === 1 ? "" : "s"}`;
+}
+
+// Earliest cohort whose data ends before some other cohort starts: the
+// historical benchmark later eras are compared against (null when every
+// cohort overlaps in time)
+function benchmarkCohort(cohorts) {
+  const spans = cohorts.map((c) =>
+    c.records.length ? yearSpan(c.records) : null
+  );
+  const candidates = cohorts.filter((c, i) =>
+    spans.some((s, j) => j !== i && spans[i] && s && s[0] > spans[i][1])
+  );
+  return candidates.reduce(
+    (best, c) =>
+      !best || yearSpan(c.records)[0] < yearSpan(best.records)[0] ? c : best,
+    null
+  );
+}
+
+const EMPTY_NARRATIVE = {
+  body: "No cohort data is loaded for this view.",
+  bullets: [],
+};
+
+function trendNarrative(cohorts, stat, metric = "ps") {
+  const { label } = valuationMetric(metric);
+  const rows = cohorts
+    .map((c) => {
+      const s = groupLogPsByYear(c.records, stat);
+      if (!s.years.length) return null;
+      const at = (i) => ({
+        year: formatPeriod(s.years[i], c.periodType),
+        ps: Math.exp(s.logVals[i]),
+      });
+      const peakIdx = s.logVals.indexOf(Math.max(...s.logVals));
+      return {
+        cohort: c,
+        first: at(0),
+        peak: at(peakIdx),
+        last: at(s.years.length - 1),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.peak.ps - a.peak.ps);
+  if (!rows.length) return EMPTY_NARRATIVE;
+
+  const top = rows[0];
+  const bottom = rows[rows.length - 1];
+  const bench = rows.find(
+    (r) => r.cohort === benchmarkCohort(rows.map((x) => x.cohort))
+  );
+  const statLabel = AGGREGATIONS[stat].label.toLowerCase();
+
+  let body = `On the ${statLabel} ${label} per year, ${top.cohort.label} runs hottest, peaking at ${formatMultiple(
+    top.peak.ps
+  )} in ${top.peak.year}`;
+  body +=
+    rows.length > 1
+      ? `, ${formatMultiple(top.peak.ps / bottom.peak.ps)} the high of ${
+          bottom.cohort.label
+        } (${formatMultiple(bottom.peak.ps)}).`
+      : ".";
+  if (bench) {
+    body +=
+      bench === top
+        ? ` No later cohort has matched the ${bench.cohort.label} high-water mark.`
+        : ` ${top.cohort.label} has overtaken the earlier ${
+            bench.cohort.label
+          } high of ${formatMultiple(bench.peak.ps)}.`;
+  }
+
+  const bullets = rows.map((r) => {
+    const growth = r.peak.ps / r.first.ps;
+    let text = `${r.cohort.label}: ${formatMultiple(r.first.ps)} in ${
+      r.first.year
+    } → ${formatMultiple(r.peak.ps)} at its ${r.peak.year} peak (${formatMultiple(
+      growth
+    )} expansion)`;
+    if (r.last.year === r.peak.year) {
+      text += ", still at its high in the latest year.";
+    } else {
+      const change = r.last.ps / r.peak.ps;
+      text += `, then ${formatPercent(1 - change)} lower at ${formatMultiple(
+        r.last.ps
+      )} by ${r.last.year}.`;
+    }
+    return text;
+  });
+
+  return { body, bullets };
+}
+
+function peaksNarrative(cohorts, metric = "ps") {
+  const { label } = valuationMetric(metric);
+  const rows = cohorts
+    .filter((c) => c.peakPoints.length)
+    .map((c) => {
+      const stats = computeBoxStats(c.peakPoints.map((p) => p.value));
+      return {
+        cohort: c,
+        n: c.peakPoints.length,
+        median: Math.exp(stats.median),
+        q1: Math.exp(stats.q1),
+        q3: Math.exp(stats.q3),
+        spread: Math.exp(stats.q3 - stats.q1),
+        outliers: stats.outliers.length,
+      };
+    })
+    .sort((a, b) => b.median - a.median);
+  if (!rows.length) return EMPTY_NARRATIVE;
+
+  const widest = rows.reduce((a, b) => (b.spread > a.spread ? b : a));
+  const tightest = rows.reduce((a, b) => (b.spread < a.spread ? b : a));
+
+  let body = `Ranked by median peak-window ${label}: ${rows
+    .map((r) => `${r.cohort.label} ${formatMultiple(r.median)}`)
+    .join(", ")}.`;
+  if (rows.length > 1) {
+    body += ` ${widest.cohort.label} is the most dispersed (Q3 is ${formatMultiple(
+      widest.spread
+    )} Q1), ${tightest.cohort.label} the tightest (${formatMultiple(
+      tightest.spread
+    )}).`;
+    body +=
+      widest === rows[0]
+        ? ` The richest cohort is also the widest, so its high median comes with a long upper tail.`
+        : ` The richest cohort is not the widest, so its high median is broad-based rather than a few extreme names.`;
+  }
+
+  const bullets = rows.map(
+    (r) =>
+      `${r.cohort.label}: median ${formatMultiple(r.median)}, IQR ${formatMultiple(
+        r.q1
+      )}–${formatMultiple(r.q3)} across ${r.n} company-years${
+        r.outliers
+          ? `, ${r.outliers} outlier${r.outliers === 1 ? "" : "s"}`
+          : ", no outliers"
+      }.`
+  );
+
+  return { body, bullets };
+}
+
+function scaleNarrative(cohorts, metric = "ps") {
+  const m = valuationMetric(metric);
+  const num = m.numerator.field;
+  const den = m.denominator.field;
+  const richLevel = Math.max(...m.isoLevels);
+  const rows = cohorts
+    .map((c) => {
+      const points = c.records
+        .filter((r) => r[num] > 0 && r[den] > 0)
+        .map((r) => ({
+          x: Math.log(r[den]),
+          y: Math.log(r[num]),
+          multiple: r[num] / r[den],
+        }));
+      if (!points.length) return null;
+      return {
+        cohort: c,
+        fit: linearFit(points),
+        medianBase: Math.exp(medianOf(points.map((p) => p.x))),
+        richShare:
+          points.filter((p) => p.multiple >= richLevel).length /
+          points.length,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.medianBase - a.medianBase);
+  if (!rows.length) return EMPTY_NARRATIVE;
+
+  const largest = rows[0];
+  const smallest = rows[rows.length - 1];
+  const describeSlope = (slope) => {
+    if (slope >= 0.8 && slope <= 1.2) {
+      return `${m.numerator.noun} grows roughly in proportion to ${m.denominator.noun}`;
+    }
+    return slope < 0.8
+      ? `larger ${m.denominator.noun} bases trade on lower multiples`
+      : `larger ${m.denominator.noun} bases trade on higher multiples`;
+  };
+
+  let body = `${largest.cohort.label} operates at the largest scale (median ${
+    m.denominator.noun
+  } $${largest.medianBase.toFixed(1)}bn)`;
+  body +=
+    rows.length > 1
+      ? `, against $${smallest.medianBase.toFixed(1)}bn for ${
+          smallest.cohort.label
+        }.`
+      : ".";
+  const dollarBase = cohorts[0].dollarBase;
+  if (dollarBase != null) {
+    body += ` Dollar figures are in ${dollarBase} dollars.`;
+  }
+  const fitted = rows.filter((r) => r.fit);
+  if (fitted.length) {
+    const best = fitted.reduce((a, b) => (b.fit.r2 > a.fit.r2 ? b : a));
+    body += ` ${m.denominator.label} explains ${m.numerator.noun} best for ${
+      best.cohort.label
+    } (R² ${best.fit.r2.toFixed(2)}), where ${describeSlope(best.fit.slope)}.`;
+  }
+
+  const bullets = rows.map((r) => {
+    const fitText = r.fit
+      ? `log–log slope ${r.fit.slope.toFixed(2)}, R² ${r.fit.r2.toFixed(2)}`
+      : "too few points for a fit";
+    return `${r.cohort.label}: ${fitText}; ${formatPercent(
+      r.richShare
+    )} of company-years at or above ${richLevel}× ${m.label}.`;
+  });
+
+  return { body, bullets };
+}
+
+function medianNarrative(cohorts, metric = "ps") {
+  const { label } = valuationMetric(metric);
+  const rows = cohorts
+    .filter((c) => c.peakMed != null)
+    .sort((a, b) => b.peakMed - a.peakMed);
+  if (!rows.length) return EMPTY_NARRATIVE;
+
+  const [top, second] = rows;
+  const bottom = rows[rows.length - 1];
+  const level = formatPercent(BOOTSTRAP.level);
+
+  let body = `At the height of each era, ${top.label} has the highest median ${label} (${formatMultiple(
+    Math.exp(top.peakMed)
+  )})`;
+  if (second) {
+    body += `, ${formatMultiple(
+      Math.exp(top.peakMed - bottom.peakMed)
+    )} that of ${bottom.label}.`;
+    const separated =
+      top.peakCi && second.peakCi && top.peakCi.lo > second.peakCi.hi;
+    body += separated
+      ? ` Its ${level} bootstrap interval sits entirely above ${second.label}'s, so the lead is robust to resampling.`
+      : ` Its ${level} bootstrap interval overlaps ${second.label}'s, so the gap between them is not clear-cut.`;
+  } else {
+    body += ".";
+  }
+
+  const bullets = rows.map((c) => {
+    const ci = c.peakCi
+      ? ` (${level} CI ${formatMultiple(Math.exp(c.peakCi.lo))}–${formatMultiple(
+          Math.exp(c.peakCi.hi)
+        )})`
+      : "";
+    const [first, last] = c.peakWindow;
+    return `${c.label}: median ${formatMultiple(Math.exp(c.peakMed))}${ci} over ${
+      first === last ? first : `${first}–${last}`
+    }.`;
+  });
+
+  return { body, bullets };
+}
+
+function drawdownNarrative(cohorts) {
+  const rows = cohorts.flatMap((c) =>
+    companyDrawdowns(c.records, c.peakWindow).map((d) => ({ cohort: c, ...d }))
+  );
+  const fallen = rows.filter((r) => r.troughYear != null);
+  if (!rows.length) return EMPTY_NARRATIVE;
+  if (!rows.some((r) => r.lastYear > r.peakYear)) {
+    return {
+      body: `None of the active panels runs past its companies' market-cap highs yet, so there is no drawdown to measure. Load a panel that continues after the peak (for example dot-com through ${
+        SCENARIO_REFERENCE.years[1]
+      } or later) to see declines and recoveries.`,
+      bullets: [],
+    };
+  }
+
+  const perCohort = cohorts
+    .map((c) => {
+      const own = fallen.filter((r) => r.cohort === c);
+      const total = rows.filter((r) => r.cohort === c).length;
+      return own.length
+        ? {
+            cohort: c,
+            total,
+            fallen: own.length,
+            median: medianOf(own.map((r) => r.drawdown)),
+            recovered: own.filter((r) => r.recoveryYear != null),
+          }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.median - b.median);
+
+  let body = fallen.length
+    ? `${perCohort
+        .map(
+          (p) =>
+            `${p.cohort.label}: ${p.fallen} of ${p.total} companies fell below their high, median drawdown ${formatSignedPercent(
+              p.median
+            )}`
+        )
+        .join("; ")}.`
+    : "No company in the active cohorts has traded below its peak market cap since.";
+  if (fallen.length) {
+    const deepest = fallen.reduce((a, b) => (b.drawdown < a.drawdown ? b : a));
+    const recovered = fallen.filter((r) => r.recoveryYear != null);
+    const latest = fallen.reduce((a, b) => (b.lastYear > a.lastYear ? b : a));
+    body += ` The deepest fall was ${deepest.company} (${formatSignedPercent(
+      deepest.drawdown
+    )} by ${formatPeriod(deepest.troughYear, deepest.cohort.periodType)}).`;
+    body += recovered.length
+      ? ` ${recovered.length} of ${fallen.length} regained their high, after a median ${formatYears(
+          medianOf(recovered.map((r) => r.recoveryYear - r.peakYear))
+        )}.`
+      : ` None has regained its high within the data (through ${formatPeriod(
+          latest.lastYear,
+          latest.cohort.periodType
+        )}).`;
+  }
+  // The historical era is the one expected to show a decline; if its panel
+  // stops inside the peak window (the bundled dot-com file ends in 2000),
+  // say so rather than let it look like it never fell
+  const benchmark = benchmarkCohort(cohorts);
+  if (benchmark && yearSpan(benchmark.records)[1] <= benchmark.peakWindow[1]) {
+    body += ` The ${benchmark.label} panel ends with its ${
+      benchmark.peakWindow[1]
+    } peak, so its post-peak decline appears once later years are loaded.`;
+  }
+
+  const bullets = [...fallen]
+    .sort((a, b) => a.drawdown - b.drawdown)
+    .map((r) => {
+      const period = (t) => formatPeriod(t, r.cohort.periodType);
+      return `${r.company} (${r.cohort.label}): ${formatSignedPercent(
+        r.drawdown
+      )} from the ${period(r.peakYear)} high to the ${period(
+        r.troughYear
+      )} low; ${
+        r.recoveryYear != null
+          ? `back above it in ${period(r.recoveryYear)} (${formatYears(
+              r.recoveryYear - r.peakYear
+            )}).`
+          : `not recovered by ${period(r.lastYear)}.`
+      }`;
+    });
+
+  return { body, bullets };
+}
+
+function sizeNarrative(cohorts, macroRows, basis = "gdp") {
+  const b = MARKET_SIZE_BASES[basis];
+  if (!macroRows.length) {
+    return {
+      body: `The macro CSV (${DATA_PATHS.macro}) is not loaded, so market caps cannot be set against ${b.column}.`,
+      bullets: [],
+    };
+  }
+  const rows = marketSizeSeries(cohorts, macroRows, basis)
+    .filter((s) => s.total.length)
+    .map((s) => {
+      const top = s.total.reduce((a, p) => (p.value > a.value ? p : a));
+      const biggest = s.companies
+        .flatMap(({ company, path }) => path.map((p) => ({ company, ...p })))
+        .reduce((a, p) => (!a || p.value > a.value ? p : a), null);
+      return { ...s, top, biggest };
+    })
+    .sort((x, y) => y.top.value - x.top.value);
+  if (!rows.length) return EMPTY_NARRATIVE;
+
+  const period = (r, t) => formatPeriod(t, r.cohort.periodType);
+  const largest = rows[0];
+  let body = `Measured ${
+    basis === "gdp" ? "against the economy" : "against the NASDAQ level"
+  }, ${largest.cohort.label} is the biggest cohort: at its height (${period(
+    largest,
+    largest.top.year
+  )}) its companies were worth ${b.format(largest.top.value)}.`;
+  if (rows.length > 1) {
+    const smallest = rows[rows.length - 1];
+    body += ` ${smallest.cohort.label} peaked at ${b.format(
+      smallest.top.value
+    )} (${period(smallest, smallest.top.year)}).`;
+  }
+
+  const bullets = rows.map(
+    (r) =>
+      `${r.cohort.label}: peak ${b.format(r.top.value)} in ${period(
+        r,
+        r.top.year
+      )} across ${r.top.companies} companies; largest single company ${
+        r.biggest.company
+      } at ${b.format(r.biggest.value)} (${period(r, r.biggest.year)}).`
+  );
+
+  return { body, bullets };
+}
+
+// { storyId: { body, bullets } } for the active cohorts (with peak fields)
+function buildNarrative(
+  cohorts,
+  stat,
+  metric = "ps",
+  { macroRows = [], sizeBasis = "gdp" } = {}
+) {
+  return {
+    "ps-trend": trendNarrative(cohorts, stat, metric),
+    peaks: peaksNarrative(cohorts, metric),
+    scale: scaleNarrative(cohorts, metric),
+    median: medianNarrative(cohorts, metric),
+    drawdown: drawdownNarrative(cohorts),
+    size: sizeNarrative(cohorts, macroRows, sizeBasis),
+  };
+}
+
 // ============================================================
 // 3. Macro helpers
 // ============================================================
 
 function parseMacroCsv(text) {
-  const lines = text.trim().split(/\r?\n/);
-  if (!lines.length) return [];
-
-  const rawHeaders = lines[0].split(",").map((h) => cleanCsvToken(h));
-  const headers = rawHeaders.map((h) =>
-    h === "NASDAQ Yearly Growith" ? "NASDAQ Yearly Growth" : h
-  );
+  const parsed = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!parsed.rows.length) return [];
+  logCsvErrors("Macro CSV", parsed.errors);
 
-  const rows = lines.slice(1).map((line) => {
-    const cells = line.split(",").map((c) => cleanCsvToken(c));
+  const rows = parsed.rows.map((raw) => {
     const row = {};
-    headers.forEach((h, i) => {
-      const cell = cells[i];
+    Object.keys(raw).forEach((key) => {
+      const h = key === "NASDAQ Yearly Growith" ? "NASDAQ Yearly Growth" : key;
+      const cell = raw[key];
       if (h === "Date") {
         const d = new Date(cell);
         row.Date = Number.isNaN(d.getTime()) ? null : d;
       } else {
-        const num = Number(cell);
+        const num = parseCsvNumber(cell);
         row[h] = Number.isFinite(num) ? num : null;
       }
     });
@@ -286,7 +2111,7 @@ async function loadMacrodata() {
       );
       throw new Error("Macro CSV load failed");
     }
-    const text = await res.text();
+    const { text } = decodeCsvBuffer(await res.arrayBuffer());
     const parsed = parseMacroCsv(text);
     console.log(`✅ Macro rows: ${parsed.length}`);
     return parsed;
@@ -340,6 +2165,168 @@ function normalizeMacro(rows, columns, method, referenceRows) {
   });
 }
 
+// ================== Real dollars ============================
+
+// Panel fields quoted in dollars; ratios (P/S, P/E, margin) are unit-free
+const DOLLAR_FIELDS = PANEL_SCHEMA.metrics
+  .filter((m) => m.label.includes("$"))
+  .map((m) => m.key);
+
+// Chained annual price level from the quarterly Inflation column (year-on-
+// year %): each year is the previous one grown by its average reading. Only
+// ratios between years are meaningful.
+function priceIndexByYear(rows) {
+  const readings = {};
+  rows.forEach((r) => {
+    if (r.Inflation == null) return;
+    const y = r.Date.getFullYear();
+    readings[y] = [...(readings[y] || []), r.Inflation];
+  });
+  const years = Object.keys(readings)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const index = {};
+  years.forEach((y, i) => {
+    const rate = sumOf(readings[y]) / readings[y].length / 100;
+    index[y] = i === 0 ? 100 : index[years[i - 1]] * (1 + rate);
+  });
+  return index;
+}
+
+// Restates dollar fields in baseYear dollars and keeps the multiplier as
+// DollarFactor. Quarters use their calendar year's level; years the index
+// doesn't cover borrow the nearest one.
+function deflateRecords(records, index, baseYear) {
+  const years = Object.keys(index).map(Number);
+  if (!(baseYear in index)) return records;
+  const levelFor = (t) => {
+    const y = calendarYear(t);
+    const nearest = years.reduce((best, k) =>
+      Math.abs(k - y) < Math.abs(best - y) ? k : best
+    );
+    return index[nearest];
+  };
+  return records.map((r) => {
+    const factor = index[baseYear] / levelFor(r.Year);
+    const next = { ...r, DollarFactor: factor };
+    DOLLAR_FIELDS.forEach((f) => {
+      if (r[f] != null) next[f] = r[f] * factor;
+    });
+    return next;
+  });
+}
+
+// "$bn" or "2025 $bn" for axis titles and table headers
+function dollarUnit(baseYear) {
+  return baseYear == null ? "$bn" : `${baseYear} $bn`;
+}
+
+function formatDollars(v, baseYear) {
+  return `$${formatBn(v)}bn${baseYear == null ? "" : ` (${baseYear} $)`}`;
+}
+
+// ================== Market size ============================
+
+// Market cap against the economy (nominal GDP, $bn) or the market itself
+// (NASDAQ Composite level). value = cap / macro reading × scale.
+const MARKET_SIZE_BASES = {
+  gdp: {
+    label: "Share of GDP",
+    column: "GDP",
+    scale: 100,
+    axis: "Market cap (% of nominal GDP)",
+    format: (v) => `${v.toFixed(v < 1 ? 2 : 1)}% of GDP`,
+  },
+  nasdaq: {
+    label: "Per NASDAQ point",
+    column: "NASDAQ",
+    scale: 1000,
+    axis: "Market cap per NASDAQ Composite point ($m)",
+    format: (v) => `$${v.toFixed(v < 10 ? 1 : 0)}m per NASDAQ point`,
+  },
+};
+
+function fractionalYear(date) {
+  return date.getFullYear() + date.getMonth() / 12;
+}
+
+// Reading of column at the macro date nearest a period's midpoint (2024 →
+// mid-2024, 2024Q3 → mid-August); null when nothing lies within a year.
+function macroLookup(rows, column) {
+  const points = rows
+    .filter((r) => r[column] != null)
+    .map((r) => ({ t: fractionalYear(r.Date), value: r[column] }));
+  return (time, periodType) => {
+    const mid = time + 1 / (2 * PERIOD_TYPES[periodType || "year"].perYear);
+    let best = null;
+    points.forEach((p) => {
+      if (!best || Math.abs(p.t - mid) < Math.abs(best.t - mid)) best = p;
+    });
+    return best && Math.abs(best.t - mid) <= 1 ? best.value : null;
+  };
+}
+
+// Per cohort: the summed market cap of its companies and each company's own
+// cap relative to the basis, period by period. Always nominal against
+// nominal, so the real-dollar toggle leaves these ratios unchanged.
+function marketSizeSeries(cohorts, macroRows, basis = "gdp") {
+  const b = MARKET_SIZE_BASES[basis];
+  const lookup = macroLookup(macroRows, b.column);
+  const nominalCap = (r) =>
+    r.MarketCap > 0 ? r.MarketCap / (r.DollarFactor ?? 1) : null;
+
+  return cohorts.map((c) => {
+    const ratio = (cap, t) => {
+      const level = lookup(t, c.periodType);
+      return cap != null && level > 0 ? (cap / level) * b.scale : null;
+    };
+    const periods = Array.from(new Set(c.records.map((r) => r.Year))).sort(
+      (x, y) => x - y
+    );
+    const total = periods
+      .map((t) => {
+        const caps = c.records
+          .filter((r) => r.Year === t)
+          .map(nominalCap)
+          .filter((v) => v != null);
+        const cap = caps.length ? sumOf(caps) : null;
+        return { year: t, cap, companies: caps.length, value: ratio(cap, t) };
+      })
+      .filter((p) => p.value != null);
+    const companies = listCompanies(c.records).map((company) => ({
+      company,
+      path: companyPath(c.records, company)
+        .map((r) => ({
+          year: r.Year,
+          cap: nominalCap(r),
+          value: ratio(nominalCap(r), r.Year),
+        }))
+        .filter((p) => p.value != null),
+    }));
+    return { cohort: c, total, companies };
+  });
+}
+
+// Cohorts with overlapping calendar spans form one era; eras run in order
+function groupEras(cohorts) {
+  const spans = cohorts
+    .filter((c) => c.records.length)
+    .map((c) => {
+      const years = c.records.map((r) => r.Year);
+      return { cohorts: [c], lo: Math.min(...years), hi: Math.max(...years) };
+    })
+    .sort((a, b) => a.lo - b.lo);
+  return spans.reduce((eras, span) => {
+    const last = eras[eras.length - 1];
+    if (last && span.lo <= last.hi) {
+      last.cohorts.push(...span.cohorts);
+      last.hi = Math.max(last.hi, span.hi);
+      return eras;
+    }
+    return [...eras, span];
+  }, []);
+}
+
 function formatDateLabel(date) {
   return new Intl.DateTimeFormat("en", {
     year: "numeric",
@@ -377,479 +2364,2613 @@ function useChart(canvasRef, configFactory, deps) {
   }, deps);
 }
 
-// ================== Story charts ============================
+// Dependency key for a cohort list (rebuild on add/remove/rename/recolor,
+// and on a new dollar base, which rescales records without changing count)
+function cohortKey(cohorts) {
+  return cohorts
+    .map(
+      (c) =>
+        `${c.id}:${c.label}:${c.color.solid}:${c.records.length}:` +
+        `${c.dollarBase ?? ""}`
+    )
+    .join("|");
+}
 
-function AvgPsLineChart({ dotcom, aiPure, aiBroad }) {
-  const canvasRef = useRef(null);
+// Adds click-to-drill-down: reports { cohortId, company, year } for the
+// clicked element. Points may carry `company` and `year`; datasets carry
+// `cohortId`/`groupId` (or `cohortIds` per bar), optionally `companies` per
+// bar and `calendarYears` per point.
+function withPointPicker(config, onPick) {
+  if (!onPick) return config;
+  return {
+    ...config,
+    options: {
+      ...config.options,
+      onClick: (evt, elements, chart) => {
+        const el = elements.find(
+          (e) =>
+            !chart.data.datasets[e.datasetIndex].isBand &&
+            !chart.data.datasets[e.datasetIndex].isOverlay
+        );
+        if (!el) return;
+        const dataset = chart.data.datasets[el.datasetIndex];
+        const point = dataset.data[el.index];
+        onPick({
+          cohortId:
+            dataset.cohortId ||
+            dataset.groupId ||
+            (dataset.cohortIds && dataset.cohortIds[el.index]),
+          company:
+            (point && point.company) ||
+            (dataset.companies && dataset.companies[el.index]) ||
+            null,
+          // lets cohort-level picks resolve to a company in that period
+          year:
+            (point && point.year) ??
+            (dataset.calendarYears && dataset.calendarYears[el.index]) ??
+            null,
+        });
+      },
+      onHover: (evt, elements) => {
+        evt.native.target.style.cursor = elements.length
+          ? "pointer"
+          : "default";
+      },
+    },
+  };
+}
+
+// ================== Story chart configs =====================
+// Pure factories: cohorts in, Chart.js config out. Every dataset (or bar)
+// carries the id of the cohort it was built from, so label, color and data
+// always come from the same registry entry and never from a position.
+
+// Event time: 0 is the peak year, so "t−3" is three years before it and
+// "t+0.25" one quarter after it
+function formatEventTime(offset) {
+  if (offset === 0) return "t";
+  return offset < 0 ? `t−${-offset}` : `t+${offset}`;
+}
+
+// Every multiple of step from the lowest to the highest key. Annual and
+// quarterly cohorts share one category axis, so filling the grid keeps
+// their spacing true to time (lines span the periods they lack).
+function periodGrid(keys, step) {
+  if (!keys.length) return [];
+  const lo = Math.min(...keys);
+  const hi = Math.max(...keys);
+  const out = [];
+  for (let i = 0; lo + i * step <= hi; i += 1) out.push(lo + i * step);
+  return out;
+}
+
+// Peak period = highest aggregate inside the cohort's peak window
+function peakAnchorYear(series, peakWindow) {
+  let anchor = null;
+  series.years.forEach((y, i) => {
+    const year = calendarYear(y);
+    if (year < peakWindow[0] || year > peakWindow[1]) return;
+    if (anchor == null || series.logVals[i] > anchor.value) {
+      anchor = { year: y, value: series.logVals[i] };
+    }
+  });
+  return anchor ? anchor.year : peakWindow[0];
+}
 
-  const dot = groupAvgLogPsByYear(dotcom);
-  const pure = groupAvgLogPsByYear(aiPure);
-  const broad = groupAvgLogPsByYear(aiBroad);
+// alignToPeak re-indexes each cohort to years relative to its own peak so
+// eras overlay; calendarYears keeps the real year for the tooltip.
+// showCi adds a shaded bootstrap band (two hidden "isBand" datasets filled
+// between each other) under every cohort line.
+function avgPsChartConfig(
+  cohorts,
+  { alignToPeak = false, stat = "mean", showCi = false, metric = "ps" } = {}
+) {
+  const m = valuationMetric(metric);
+  const series = cohorts.map((c) => {
+    const s = groupLogPsByYear(c.records, stat);
+    const anchor = alignToPeak ? peakAnchorYear(s, c.peakWindow) : 0;
+    const ci = showCi
+      ? bootstrapLogPsByYear(c.records, stat, s.years)
+      : s.years.map(() => null);
+    return { ...s, ci, keys: s.years.map((y) => y - anchor) };
+  });
 
-  const allYears = Array.from(
-    new Set([...dot.years, ...pure.years, ...broad.years])
+  const step = periodStep(cohorts.map((c) => c.periodType));
+  const allKeys = Array.from(
+    new Set(series.flatMap((s) => periodGrid(s.keys, step)))
   ).sort((a, b) => a - b);
 
-  const align = (series) => {
-    const map = new Map(
-      series.years.map((y, i) => [y, series.logVals[i]])
-    );
-    return allYears.map((y) => map.get(y) ?? null);
+  const align = (s, values) => {
+    const map = new Map(s.keys.map((k, i) => [k, values[i]]));
+    return allKeys.map((k) => map.get(k) ?? null);
   };
 
-  useChart(
-    canvasRef,
-    () => ({
-      type: "line",
-      data: {
-        labels: allYears,
-        datasets: [
-          {
-            label: "Dot-com",
-            data: align(dot),
-            borderColor: SERIES_COLORS.dotcom.solid,
-            backgroundColor: SERIES_COLORS.dotcom.fill,
-            tension: 0.3,
-            borderWidth: 3,
-            pointRadius: 3,
-            pointHoverRadius: 6,
+  return {
+    type: "line",
+    data: {
+      labels: allKeys.map((k) =>
+        alignToPeak
+          ? formatEventTime(k)
+          : formatPeriod(k, step < 1 ? "quarter" : "year")
+      ),
+      datasets: cohorts.flatMap((c, i) => {
+        const ci = align(series[i], series[i].ci);
+        const band = (edge, fill) => ({
+          cohortId: c.id,
+          isBand: true,
+          label: `${c.label} ${BOOTSTRAP.level * 100}% CI ${edge}`,
+          data: ci.map((b) => (b ? b[edge] : null)),
+          borderWidth: 0,
+          pointRadius: 0,
+          pointHoverRadius: 0,
+          backgroundColor: c.color.fill,
+          tension: 0.3,
+          spanGaps: true,
+          fill,
+        });
+        const line = {
+          cohortId: c.id,
+          periodType: c.periodType,
+          label: c.label,
+          data: align(series[i], series[i].logVals),
+          calendarYears: align(series[i], series[i].years),
+          ci,
+          borderColor: c.color.solid,
+          backgroundColor: c.color.fill,
+          tension: 0.3,
+          spanGaps: true,
+          borderWidth: 3,
+          pointRadius: 3,
+          pointHoverRadius: 6,
+        };
+        return showCi ? [band("lo", false), band("hi", "-1"), line] : [line];
+      }),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: {
+          labels: {
+            usePointStyle: true,
+            boxWidth: 6,
+            filter: (item, data) => !data.datasets[item.datasetIndex].isBand,
           },
-          {
-            label: "Big Tech AI",
-            data: align(pure),
-            borderColor: SERIES_COLORS.bigTech.solid,
-            backgroundColor: SERIES_COLORS.bigTech.fill,
-            tension: 0.3,
-            borderWidth: 3,
-            pointRadius: 3,
-            pointHoverRadius: 6,
+          title: {
+            display: true,
+            text:
+              `Statistic: ${AGGREGATIONS[stat].label} ${m.label} per ${
+                step < 1 ? "period" : "year"
+              }` +
+              (showCi
+                ? ` · bands: ${BOOTSTRAP.level * 100}% bootstrap CI`
+                : ""),
+            color: THEME.text,
           },
-          {
-            label: "Pure-play AI",
-            data: align(broad),
-            borderColor: SERIES_COLORS.pureAi.solid,
-            backgroundColor: SERIES_COLORS.pureAi.fill,
-            tension: 0.3,
-            borderWidth: 3,
-            pointRadius: 3,
-            pointHoverRadius: 6,
+        },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          titleColor: "#fff",
+          bodyColor: "#cbd5e1",
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          padding: 10,
+          filter: (item) => !item.dataset.isBand,
+          callbacks: {
+            label: (c) => {
+              const year = c.dataset.calendarYears[c.dataIndex];
+              const suffix = alignToPeak
+                ? ` (${formatPeriod(year, c.dataset.periodType)})`
+                : "";
+              const ci = c.dataset.ci[c.dataIndex];
+              const range = ci
+                ? ` [${Math.exp(ci.lo).toFixed(1)}–${Math.exp(ci.hi).toFixed(
+                    1
+                  )}x]`
+                : "";
+              return `${c.dataset.label}${suffix}: ${Math.exp(c.raw).toFixed(
+                1
+              )}x ${m.label}${range}`;
+            },
           },
-        ],
+        },
       },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        interaction: { mode: "index", intersect: false },
-        plugins: {
-          legend: { labels: { usePointStyle: true, boxWidth: 6 } },
-          tooltip: {
-            backgroundColor: THEME.tooltipBg,
-            titleColor: "#fff",
-            bodyColor: "#cbd5e1",
-            borderColor: THEME.tooltipBorder,
-            borderWidth: 1,
-            padding: 10,
-            callbacks: {
-              label: (c) =>
-                `${c.dataset.label}: ${Math.exp(c.raw).toFixed(1)}x P/S`,
-            },
+      scales: {
+        x: {
+          grid: { display: false },
+          title: {
+            display: alignToPeak,
+            text: "Years relative to cohort peak",
           },
         },
-        scales: {
-          x: { grid: { display: false } },
-          y: {
-            title: {
-              display: true,
-              text: "log(Valuation / Revenue)",
-            },
+        y: {
+          title: {
+            display: true,
+            text: `log(${m.title})`,
           },
         },
       },
-    }),
-    [JSON.stringify(allYears), dotcom.length, aiPure.length, aiBroad.length]
+    },
+  };
+}
+
+// Box / violin / strip chart over groups of { value, company, year } points.
+// x is the group index on a linear axis; boxes and violins are drawn by a
+// plugin behind jittered per-company points, which carry the tooltips.
+const DISTRIBUTION_VIEWS = {
+  box: "Box & whisker",
+  violin: "Violin",
+  strip: "Strip",
+};
+
+// Gaussian KDE on an even grid; Silverman's rule-of-thumb bandwidth
+function kernelDensity(values, steps = 40) {
+  const n = values.length;
+  if (n < 2) return [];
+  const mean = sumOf(values) / n;
+  const sd = Math.sqrt(sumOf(values.map((v) => (v - mean) ** 2)) / (n - 1));
+  const bw = 1.06 * (sd || 0.1) * n ** -0.2;
+  const lo = Math.min(...values) - 2 * bw;
+  const hi = Math.max(...values) + 2 * bw;
+
+  const grid = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const y = lo + ((hi - lo) * i) / steps;
+    const density =
+      sumOf(values.map((v) => Math.exp(-0.5 * ((y - v) / bw) ** 2))) /
+      (n * bw * Math.sqrt(2 * Math.PI));
+    grid.push({ y, density });
+  }
+  return grid;
+}
+
+function distributionChartConfig(
+  groups,
+  { view = "box", yTitle = "", unit = "P/S" } = {}
+) {
+  const stats = groups.map((g) =>
+    computeBoxStats(g.points.map((p) => p.value))
+  );
+  const densities = groups.map((g) =>
+    view === "violin" ? kernelDensity(g.points.map((p) => p.value)) : []
+  );
+  const halfWidth = 0.3;
+
+  const yBounds = (() => {
+    const values = groups.flatMap((g) => g.points.map((p) => p.value));
+    if (!values.length) return { min: undefined, max: undefined };
+    const minVal = Math.min(...values);
+    const maxVal = Math.max(...values);
+    const pad = Math.max(1, maxVal - minVal) * 0.15;
+    return { min: minVal - pad, max: maxVal + pad };
+  })();
+
+  const shapePlugin = {
+    id: "distributionShapes",
+    beforeDatasetsDraw(chart) {
+      const { ctx } = chart;
+      const xScale = chart.scales.x;
+      const yScale = chart.scales.y;
+      const px = (x) => xScale.getPixelForValue(x);
+      const py = (y) => yScale.getPixelForValue(y);
+      ctx.save();
+      ctx.lineWidth = 2;
+
+      groups.forEach((g, idx) => {
+        const stat = stats[idx];
+        if (stat.median == null) return;
+        const x = px(idx);
+        const w = px(idx + halfWidth) - x;
+        ctx.strokeStyle = g.color.solid;
+        ctx.fillStyle = g.color.fill;
+
+        if (view === "violin" && densities[idx].length) {
+          const grid = densities[idx];
+          const maxD = Math.max(...grid.map((d) => d.density));
+          ctx.beginPath();
+          grid.forEach((d, i) => {
+            const dx = (d.density / maxD) * w;
+            if (i === 0) ctx.moveTo(x + dx, py(d.y));
+            else ctx.lineTo(x + dx, py(d.y));
+          });
+          [...grid].reverse().forEach((d) => {
+            ctx.lineTo(x - (d.density / maxD) * w, py(d.y));
+          });
+          ctx.closePath();
+          ctx.fill();
+          ctx.stroke();
+
+          // slim IQR bar inside the violin
+          ctx.fillStyle = g.color.solid;
+          ctx.fillRect(x - 3, py(stat.q3), 6, py(stat.q1) - py(stat.q3));
+        }
+
+        if (view === "box") {
+          // whiskers (Tukey: furthest points within 1.5×IQR)
+          ctx.beginPath();
+          ctx.moveTo(x, py(stat.whiskerLo));
+          ctx.lineTo(x, py(stat.q1));
+          ctx.moveTo(x, py(stat.q3));
+          ctx.lineTo(x, py(stat.whiskerHi));
+          ctx.moveTo(x - w / 2, py(stat.whiskerLo));
+          ctx.lineTo(x + w / 2, py(stat.whiskerLo));
+          ctx.moveTo(x - w / 2, py(stat.whiskerHi));
+          ctx.lineTo(x + w / 2, py(stat.whiskerHi));
+          ctx.stroke();
+
+          // box
+          ctx.beginPath();
+          ctx.rect(x - w, py(stat.q3), 2 * w, py(stat.q1) - py(stat.q3));
+          ctx.fill();
+          ctx.stroke();
+        }
+
+        // median
+        ctx.strokeStyle = view === "violin" ? "#fff" : g.color.solid;
+        ctx.beginPath();
+        ctx.moveTo(x - (view === "violin" ? w / 3 : w), py(stat.median));
+        ctx.lineTo(x + (view === "violin" ? w / 3 : w), py(stat.median));
+        ctx.stroke();
+      });
+
+      ctx.restore();
+    },
+  };
+
+  return {
+    type: "scatter",
+    plugins: [shapePlugin],
+    data: {
+      datasets: groups.map((g, idx) => {
+        const stat = stats[idx];
+        const rand = seededRandom(BOOTSTRAP.seed + idx);
+        return {
+          groupId: g.id,
+          periodType: g.periodType,
+          label: g.label,
+          data: g.points.map((p) => ({
+            x: idx + (rand() - 0.5) * halfWidth * 1.2,
+            y: p.value,
+            company: p.company,
+            year: p.year,
+            outlier: stat.outliers.includes(p.value),
+          })),
+          backgroundColor: g.points.map((p) =>
+            stat.outliers.includes(p.value) ? "transparent" : g.color.solid
+          ),
+          borderColor: g.points.map((p) =>
+            stat.outliers.includes(p.value) ? "#fca5a5" : g.color.solid
+          ),
+          borderWidth: g.points.map((p) =>
+            stat.outliers.includes(p.value) ? 2 : 1
+          ),
+          pointRadius: g.points.map((p) =>
+            stat.outliers.includes(p.value) ? 5 : view === "strip" ? 4 : 3
+          ),
+          pointHoverRadius: 7,
+        };
+      }),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          callbacks: {
+            title: (items) =>
+              items[0]
+                ? `${items[0].raw.company} (${formatPeriod(
+                    items[0].raw.year,
+                    items[0].dataset.periodType
+                  )})`
+                : "",
+            label: (c) => {
+              const stat = stats[c.datasetIndex];
+              return [
+                `${c.dataset.label}: ${Math.exp(c.raw.y).toFixed(1)}x ${unit}${
+                  c.raw.outlier ? " · outlier" : ""
+                }`,
+                `Group median ${Math.exp(stat.median).toFixed(
+                  1
+                )}x, IQR ${Math.exp(stat.q1).toFixed(1)}–${Math.exp(
+                  stat.q3
+                ).toFixed(1)}x`,
+              ];
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          min: -0.5,
+          max: groups.length - 0.5,
+          grid: { display: false },
+          ticks: {
+            stepSize: 1,
+            callback: (v) =>
+              Number.isInteger(v) && groups[v] ? groups[v].label : "",
+          },
+        },
+        y: {
+          title: { display: true, text: yTitle },
+          suggestedMin: yBounds.min,
+          suggestedMax: yBounds.max,
+        },
+      },
+    },
+  };
+}
+
+const SCATTER_LAYERS = {
+  trajectories: "Company trajectories",
+  fits: "OLS fit per cohort",
+  isoLines: "Constant-multiple lines",
+};
+
+// Optional layers: per-company trajectories, per-cohort OLS fits and iso-P/S
+// diagonals (log MC = log Rev + log k). Only the cohort point datasets get
+// tooltips; fits report slope/intercept/R² through their legend label.
+// metric picks the legs: market cap vs revenue for P/S, vs net income for
+// P/E, EV vs revenue for EV/Sales.
+function mcRevScatterChartConfig(
+  cohorts,
+  { trajectories = false, fits = false, isoLines = false, metric = "ps" } = {}
+) {
+  const m = valuationMetric(metric);
+  const dollarBase = cohorts[0]?.dollarBase;
+  const axisTitle = (leg) =>
+    dollarBase == null
+      ? `log(${leg.label})`
+      : `log(${leg.label}, ${dollarBase} $)`;
+  const makePoints = (records) =>
+    records
+      .filter((r) => r[m.numerator.field] > 0 && r[m.denominator.field] > 0)
+      .map((r) => ({
+        x: Math.log(r[m.denominator.field]),
+        y: Math.log(r[m.numerator.field]),
+        numerator: r[m.numerator.field],
+        denominator: r[m.denominator.field],
+        company: r.Company,
+        year: r.Year,
+      }));
+
+  const pointsByCohort = cohorts.map((c) => makePoints(c.records));
+  const xs = pointsByCohort.flat().map((p) => p.x);
+  const xMin = xs.length ? Math.min(...xs) : 0;
+  const xMax = xs.length ? Math.max(...xs) : 1;
+
+  const trajectoryDatasets = trajectories
+    ? cohorts.flatMap((c, i) =>
+        listCompanies(c.records).map((company) => ({
+          type: "line",
+          cohortId: c.id,
+          isOverlay: true,
+          isTrajectory: true,
+          label: `${company} path`,
+          data: pointsByCohort[i]
+            .filter((p) => p.company === company)
+            .sort((a, b) => a.year - b.year),
+          borderColor: c.color.fill,
+          borderWidth: 1.5,
+          pointRadius: 0,
+          pointHitRadius: 0,
+          fill: false,
+        }))
+      )
+    : [];
+
+  const fitDatasets = fits
+    ? cohorts
+        .map((c, i) => ({ c, points: pointsByCohort[i] }))
+        .map(({ c, points }) => ({ c, points, fit: linearFit(points) }))
+        .filter(({ fit }) => fit)
+        .map(({ c, points, fit }) => {
+          const a = Math.min(...points.map((p) => p.x));
+          const b = Math.max(...points.map((p) => p.x));
+          return {
+            type: "line",
+            cohortId: c.id,
+            isOverlay: true,
+            fit,
+            label: `${c.label} fit: slope ${fit.slope.toFixed(
+              2
+            )}, intercept ${fit.intercept.toFixed(2)}, R² ${fit.r2.toFixed(2)}`,
+            data: [
+              { x: a, y: fit.intercept + fit.slope * a },
+              { x: b, y: fit.intercept + fit.slope * b },
+            ],
+            borderColor: c.color.solid,
+            borderDash: [8, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHitRadius: 0,
+            fill: false,
+          };
+        })
+    : [];
+
+  const isoDatasets = isoLines
+    ? m.isoLevels.map((k, i) => ({
+        type: "line",
+        isOverlay: true,
+        label: `${k}× ${m.label}`,
+        data: [
+          { x: xMin, y: xMin + Math.log(k) },
+          { x: xMax, y: xMax + Math.log(k) },
+        ],
+        borderColor: `rgba(148, 163, 184, ${0.25 + i * 0.15})`,
+        borderDash: [2, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        pointHitRadius: 0,
+        fill: false,
+      }))
+    : [];
+
+  return {
+    type: "scatter",
+    data: {
+      datasets: [
+        ...isoDatasets,
+        ...trajectoryDatasets,
+        ...cohorts.map((c, i) => ({
+          cohortId: c.id,
+          periodType: c.periodType,
+          metric,
+          label: c.label,
+          data: pointsByCohort[i],
+          backgroundColor: c.color.fill,
+          borderColor: c.color.solid,
+          borderWidth: 1,
+          pointRadius: 4,
+          pointHoverRadius: 6,
+        })),
+        ...fitDatasets,
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          labels: {
+            usePointStyle: true,
+            filter: (item, data) =>
+              !data.datasets[item.datasetIndex].isTrajectory,
+          },
+        },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          filter: (item) => !item.dataset.isOverlay,
+          callbacks: {
+            title: (items) =>
+              items[0]
+                ? `${items[0].raw.company} (${formatPeriod(
+                    items[0].raw.year,
+                    items[0].dataset.periodType
+                  )})`
+                : "",
+            label: (c) => [
+              `${c.dataset.label}: ${m.numerator.noun} ${formatDollars(
+                c.raw.numerator,
+                dollarBase
+              )}, ${m.denominator.noun} ${formatDollars(
+                c.raw.denominator,
+                dollarBase
+              )}`,
+              `${Math.exp(c.raw.y - c.raw.x).toFixed(1)}x ${m.label} · log(${
+                m.denominator.label
+              })=${c.raw.x.toFixed(2)}, log(${
+                m.numerator.label
+              })=${c.raw.y.toFixed(2)}`,
+            ],
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: { display: true, text: axisTitle(m.denominator) },
+          grid: { display: false },
+        },
+        y: {
+          title: { display: true, text: axisTitle(m.numerator) },
+        },
+      },
+    },
+  };
+}
+
+// Error bars come from each cohort's peakCi ({ lo, hi } in log space)
+function medianPsBarChartConfig(cohorts, { metric = "ps" } = {}) {
+  const { label } = valuationMetric(metric);
+  const errorBarPlugin = {
+    id: "medianErrorBars",
+    afterDatasetsDraw(chart) {
+      const { ctx } = chart;
+      const dataset = chart.data.datasets[0];
+      const yScale = chart.scales.y;
+      ctx.save();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = "#e2e8f0";
+
+      chart.getDatasetMeta(0).data.forEach((bar, idx) => {
+        const ci = dataset.ci[idx];
+        if (!ci) return;
+        const yLo = yScale.getPixelForValue(ci.lo);
+        const yHi = yScale.getPixelForValue(ci.hi);
+        const w = 8;
+
+        ctx.beginPath();
+        ctx.moveTo(bar.x, yLo);
+        ctx.lineTo(bar.x, yHi);
+        ctx.moveTo(bar.x - w, yLo);
+        ctx.lineTo(bar.x + w, yLo);
+        ctx.moveTo(bar.x - w, yHi);
+        ctx.lineTo(bar.x + w, yHi);
+        ctx.stroke();
+      });
+
+      ctx.restore();
+    },
+  };
+  const cis = cohorts.map((c) => c.peakCi || null);
+  const finite = cis.filter(Boolean);
+
+  return {
+    type: "bar",
+    plugins: [errorBarPlugin],
+    data: {
+      labels: cohorts.map((c) => `${c.label} Peak`),
+      datasets: [
+        {
+          label: `Median log(${label})`,
+          cohortIds: cohorts.map((c) => c.id),
+          data: cohorts.map((c) => c.peakMed),
+          ci: cis,
+          backgroundColor: cohorts.map((c) => c.color.fill),
+          borderColor: cohorts.map((c) => c.color.solid),
+          borderWidth: 2,
+          borderRadius: 8,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          callbacks: {
+            label: (c) => {
+              const ci = c.dataset.ci[c.dataIndex];
+              const base = `Median ${Math.exp(c.raw).toFixed(1)}x ${label}`;
+              if (!ci) return base;
+              return `${base} (${BOOTSTRAP.level * 100}% CI ${Math.exp(
+                ci.lo
+              ).toFixed(1)}–${Math.exp(ci.hi).toFixed(1)}x)`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: {
+          title: { display: true, text: `Median log(${label})` },
+          suggestedMin: finite.length
+            ? Math.min(0, ...finite.map((ci) => ci.lo))
+            : undefined,
+          suggestedMax: finite.length
+            ? Math.max(...finite.map((ci) => ci.hi))
+            : undefined,
+        },
+      },
+    },
+  };
+}
+
+// Underwater chart: each company's market cap as a share of its bubble-era
+// high, in years since that high (t). Every company line carries a `summary`
+// (see companyDrawdowns) for tooltips and export.
+function drawdownChartConfig(cohorts) {
+  const dollarBase = cohorts[0]?.dollarBase;
+  const lines = cohorts.flatMap((c) =>
+    companyDrawdowns(c.records, c.peakWindow).map((d) => ({ cohort: c, d }))
   );
+  const maxOffset = Math.max(
+    0,
+    ...lines.flatMap(({ d }) => d.path.map((p) => p.offset))
+  );
+  const step = periodStep(cohorts.map((c) => c.periodType));
+  const labels = periodGrid([0, maxOffset], step).map(formatEventTime);
 
+  return {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        {
+          isOverlay: true,
+          label: "Peak level",
+          data: labels.map((x) => ({ x, y: 1 })),
+          borderColor: "rgba(148, 163, 184, 0.6)",
+          borderDash: [4, 4],
+          borderWidth: 1,
+          pointRadius: 0,
+          pointHitRadius: 0,
+        },
+        ...lines.map(({ cohort, d }) => ({
+          cohortId: cohort.id,
+          cohortLabel: cohort.label,
+          periodType: cohort.periodType,
+          label: d.company,
+          summary: d,
+          data: d.path.map((p) => ({
+            x: formatEventTime(p.offset),
+            y: p.ratio,
+            company: d.company,
+            year: p.year,
+          })),
+          borderColor: cohort.color.solid,
+          backgroundColor: cohort.color.fill,
+          borderWidth: 2,
+          tension: 0.2,
+          pointRadius: 3,
+          pointHoverRadius: 6,
+        })),
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          filter: (item) => !item.dataset.isOverlay,
+          callbacks: {
+            title: (items) =>
+              items[0]
+                ? `${items[0].raw.company} (${items[0].dataset.cohortLabel})`
+                : "",
+            label: (c) => {
+              const s = c.dataset.summary;
+              const period = (t) => formatPeriod(t, c.dataset.periodType);
+              const lines = [
+                `${period(c.raw.year)}: ${(c.raw.y * 100).toFixed(
+                  0
+                )}% of the ${period(s.peakYear)} high (${formatDollars(
+                  s.peakCap,
+                  dollarBase
+                )})`,
+              ];
+              if (s.troughYear != null) {
+                lines.push(
+                  `Max drawdown ${formatSignedPercent(
+                    s.drawdown
+                  )} (${period(s.troughYear)}), ${
+                    s.recoveryYear != null
+                      ? `recovered ${period(
+                          s.recoveryYear
+                        )} after ${formatYears(s.recoveryYear - s.peakYear)}`
+                      : `not recovered by ${period(s.lastYear)}`
+                  }`
+                );
+              }
+              return lines;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          title: { display: true, text: "Years since the company's peak" },
+          grid: { display: false },
+        },
+        y: {
+          min: 0,
+          title: { display: true, text: "Market cap (% of peak)" },
+          ticks: { callback: (v) => `${Math.round(v * 100)}%` },
+        },
+      },
+    },
+  };
+}
+
+// Eras sit side by side on one category axis, each over its own calendar
+// periods with a spacer between them. Thick lines are cohort totals, thin
+// ones the companies behind them.
+function marketSizeChartConfig(cohorts, macroRows, { basis = "gdp" } = {}) {
+  const b = MARKET_SIZE_BASES[basis];
+  const eras = groupEras(cohorts);
+  const labelType = {};
+  const labels = eras.flatMap((era, i) => {
+    const step = periodStep(era.cohorts.map((c) => c.periodType));
+    const type = step < 1 ? "quarter" : "year";
+    era.cohorts.forEach((c) => {
+      labelType[c.id] = type;
+    });
+    const grid = periodGrid([era.lo, era.hi], step).map((t) =>
+      formatPeriod(t, type)
+    );
+    // spacers must stay distinct category labels
+    return i ? [" ".repeat(i), ...grid] : grid;
+  });
+
+  const datasets = marketSizeSeries(cohorts, macroRows, basis).flatMap(
+    ({ cohort: c, total, companies }) => {
+      const x = (t) => formatPeriod(t, labelType[c.id]);
+      const common = {
+        cohortId: c.id,
+        cohortLabel: c.label,
+        periodType: c.periodType,
+        basis,
+        tension: 0.2,
+      };
+      return [
+        ...companies.map(({ company, path }) => ({
+          ...common,
+          isCompany: true,
+          label: company,
+          data: path.map((p) => ({ x: x(p.year), y: p.value, company, ...p })),
+          borderColor: c.color.fill,
+          borderWidth: 1,
+          pointRadius: 0,
+          pointHitRadius: 4,
+          pointHoverRadius: 4,
+        })),
+        {
+          ...common,
+          label: `${c.label} (all companies)`,
+          data: total.map((p) => ({ x: x(p.year), y: p.value, ...p })),
+          borderColor: c.color.solid,
+          backgroundColor: c.color.fill,
+          borderWidth: 3,
+          pointRadius: 3,
+          pointHoverRadius: 6,
+        },
+      ];
+    }
+  );
+
+  return {
+    type: "line",
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          labels: {
+            usePointStyle: true,
+            boxWidth: 6,
+            filter: (item, data) =>
+              !data.datasets[item.datasetIndex].isCompany,
+          },
+        },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          callbacks: {
+            title: (items) =>
+              items[0]
+                ? `${items[0].dataset.label} · ${formatPeriod(
+                    items[0].raw.year,
+                    items[0].dataset.periodType
+                  )}`
+                : "",
+            label: (c) =>
+              `${b.format(c.raw.y)} (market cap $${formatBn(
+                c.raw.cap
+              )}bn nominal${
+                c.raw.companies != null
+                  ? `, ${c.raw.companies} companies`
+                  : ""
+              })`,
+          },
+        },
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: {
+          type: "logarithmic",
+          title: { display: true, text: `${b.axis} (log scale)` },
+        },
+      },
+    },
+  };
+}
+
+// ================== Story charts ============================
+
+function AvgPsLineChart({
+  cohorts,
+  alignToPeak,
+  stat,
+  showCi,
+  metric,
+  onPick,
+}) {
+  const canvasRef = useRef(null);
+  useChart(
+    canvasRef,
+    () =>
+      withPointPicker(
+        avgPsChartConfig(cohorts, { alignToPeak, stat, showCi, metric }),
+        onPick
+      ),
+    [
+      cohortKey(cohorts),
+      JSON.stringify(cohorts.map((c) => c.peakWindow)),
+      alignToPeak,
+      stat,
+      showCi,
+      metric,
+    ]
+  );
   return <canvas ref={canvasRef} />;
 }
 
-function PeakBoxplotChart({ dotLog, pureLog, broadLog }) {
+function DistributionChart({ groups, view, yTitle, unit, onPick }) {
   const canvasRef = useRef(null);
-  const realStats = [
-    computeBoxStats(dotLog),
-    computeBoxStats(pureLog),
-    computeBoxStats(broadLog),
-  ];
+  useChart(
+    canvasRef,
+    () =>
+      withPointPicker(
+        distributionChartConfig(groups, { view, yTitle, unit }),
+        onPick
+      ),
+    [
+      JSON.stringify(
+        groups.map((g) => [g.id, g.label, g.color.solid, g.points])
+      ),
+      view,
+      yTitle,
+      unit,
+    ]
+  );
+  return <canvas ref={canvasRef} />;
+}
 
-  const yBounds = (() => {
-    const finiteStats = realStats.filter(
-      (s) => Number.isFinite(s.min) && Number.isFinite(s.max)
-    );
-    if (!finiteStats.length) return { min: undefined, max: undefined };
+function peakDistributionTitle(metric) {
+  return `log(${valuationMetric(metric).label} Distribution)`;
+}
 
-    const minVal = Math.min(...finiteStats.map((s) => s.min));
-    const maxVal = Math.max(...finiteStats.map((s) => s.max));
-    const range = Math.max(1, maxVal - minVal);
-    const pad = range * 0.15;
+function peakGroups(cohorts) {
+  return cohorts.map((c) => ({
+    id: c.id,
+    label: `${c.label} Peak`,
+    color: c.color,
+    periodType: c.periodType,
+    points: c.peakPoints,
+  }));
+}
 
-    return { min: minVal - pad, max: maxVal + pad };
-  })();
+function PeakBoxplotChart({ cohorts, view, metric, onPick }) {
+  return (
+    <DistributionChart
+      groups={peakGroups(cohorts)}
+      view={view}
+      yTitle={peakDistributionTitle(metric)}
+      unit={valuationMetric(metric).label}
+      onPick={onPick}
+    />
+  );
+}
 
+function McRevScatterChart({ cohorts, layers, metric, onPick }) {
+  const canvasRef = useRef(null);
   useChart(
     canvasRef,
-    (ctx) => {
-      const boxplotPlugin = {
-        id: "customBoxplot",
-        afterDatasetsDraw(chart) {
-          const { ctx } = chart;
-          ctx.save();
-          ctx.lineWidth = 2;
-
-          chart.getDatasetMeta(0).data.forEach((bar, idx) => {
-            const stat = realStats[idx];
-            if (!stat || stat.median == null) return;
-
-            const x = bar.x;
-            const yScale = chart.scales.y;
-            const yMin = yScale.getPixelForValue(stat.min);
-            const yQ1 = yScale.getPixelForValue(stat.q1);
-            const yMed = yScale.getPixelForValue(stat.median);
-            const yQ3 = yScale.getPixelForValue(stat.q3);
-            const yMax = yScale.getPixelForValue(stat.max);
-            const w = 40;
-
-            const color =
-              idx === 0
-                ? SERIES_COLORS.dotcom.solid
-                : idx === 1
-                ? SERIES_COLORS.bigTech.solid
-                : SERIES_COLORS.pureAi.solid;
-            const fill =
-              idx === 0
-                ? SERIES_COLORS.dotcom.fill
-                : idx === 1
-                ? SERIES_COLORS.bigTech.fill
-                : SERIES_COLORS.pureAi.fill;
-
-            ctx.strokeStyle = color;
-            ctx.fillStyle = fill;
-
-            // whiskers
-            ctx.beginPath();
-            ctx.moveTo(x, yMin);
-            ctx.lineTo(x, yQ1);
-            ctx.stroke();
-
-            ctx.beginPath();
-            ctx.moveTo(x, yQ3);
-            ctx.lineTo(x, yMax);
-            ctx.stroke();
-
-            ctx.beginPath();
-            ctx.moveTo(x - w / 4, yMin);
-            ctx.lineTo(x + w / 4, yMin);
-            ctx.stroke();
-
-            ctx.beginPath();
-            ctx.moveTo(x - w / 4, yMax);
-            ctx.lineTo(x + w / 4, yMax);
-            ctx.stroke();
-
-            // box
-            ctx.beginPath();
-            ctx.rect(x - w / 2, yQ3, w, yQ1 - yQ3);
-            ctx.fill();
-            ctx.stroke();
-
-            // median
-            ctx.beginPath();
-            ctx.moveTo(x - w / 2, yMed);
-            ctx.lineTo(x + w / 2, yMed);
-            ctx.stroke();
-          });
+    () =>
+      withPointPicker(
+        mcRevScatterChartConfig(cohorts, { ...layers, metric }),
+        onPick
+      ),
+    [cohortKey(cohorts), JSON.stringify(layers), metric]
+  );
+  return <canvas ref={canvasRef} />;
+}
+
+function DrawdownChart({ cohorts, onPick }) {
+  const canvasRef = useRef(null);
+  useChart(
+    canvasRef,
+    () => withPointPicker(drawdownChartConfig(cohorts), onPick),
+    [cohortKey(cohorts), JSON.stringify(cohorts.map((c) => c.peakWindow))]
+  );
+  return <canvas ref={canvasRef} />;
+}
+
+function MarketSizeChart({ cohorts, macroRows, basis, onPick }) {
+  const canvasRef = useRef(null);
+  useChart(
+    canvasRef,
+    () =>
+      withPointPicker(
+        marketSizeChartConfig(cohorts, macroRows, { basis }),
+        onPick
+      ),
+    [cohortKey(cohorts), macroRows.length, basis]
+  );
+  return <canvas ref={canvasRef} />;
+}
+
+function MedianPsBarChart({ cohorts, metric, onPick }) {
+  const canvasRef = useRef(null);
+  useChart(
+    canvasRef,
+    () => withPointPicker(medianPsBarChartConfig(cohorts, { metric }), onPick),
+    [
+      JSON.stringify(cohorts.map((c) => [c.peakMed, c.peakCi])),
+      cohortKey(cohorts),
+      metric,
+    ]
+  );
+  return <canvas ref={canvasRef} />;
+}
 
-          ctx.restore();
+// ================== Macro chart ============================
+
+function macroChartConfig(series, yTitle) {
+  return {
+    type: "line",
+    data: {
+      datasets: series.map((s, idx) => ({
+        label: s.label,
+        data: s.data,
+        borderColor: s.color || MACRO_COLORS[idx % MACRO_COLORS.length],
+        backgroundColor:
+          (s.color || MACRO_COLORS[idx % MACRO_COLORS.length]) + "20",
+        tension: 0.3,
+        pointRadius: 0,
+        borderWidth: 2,
+        fill: false,
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: {
+          position: "top",
+          labels: { usePointStyle: true, boxWidth: 6 },
         },
-      };
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          callbacks: {
+            title: (items) =>
+              items[0] ? formatDateLabel(new Date(items[0].raw.x)) : "",
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          ticks: {
+            callback: (v) => formatDateLabel(new Date(v)),
+            maxTicksLimit: 8,
+          },
+          grid: { display: false },
+        },
+        y: {
+          title: { display: true, text: yTitle },
+        },
+      },
+    },
+  };
+}
+
+function MacroLineChart({ series, yTitle }) {
+  const canvasRef = useRef(null);
 
+  useChart(canvasRef, () => macroChartConfig(series, yTitle), [
+    JSON.stringify(series),
+    yTitle,
+  ]);
+
+  return <canvas ref={canvasRef} />;
+}
+
+// ================== Chart export ============================
+// Exports rebuild the chart from the same config factory the card renders,
+// so images and data always match what is on screen. PNGs render off-screen
+// at EXPORT_SIZE × scale; SVGs go through canvas2svg (window.C2S).
+
+const EXPORT_SIZE = { width: 1200, height: 600, scale: 2 };
+
+function staticChartConfig(config, title, devicePixelRatio) {
+  const background = {
+    id: "exportBackground",
+    beforeDraw(chart) {
+      const { ctx, width, height } = chart;
+      ctx.save();
+      ctx.fillStyle = THEME.background;
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+    },
+  };
+  return {
+    ...config,
+    plugins: [background, ...(config.plugins || [])],
+    options: {
+      ...config.options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio,
+      plugins: {
+        ...config.options.plugins,
+        title: {
+          display: Boolean(title),
+          text: title,
+          color: "#e2e8f0",
+          font: { size: 16, weight: "600" },
+        },
+      },
+    },
+  };
+}
+
+function renderChartPng(config, title) {
+  const canvas = document.createElement("canvas");
+  canvas.width = EXPORT_SIZE.width;
+  canvas.height = EXPORT_SIZE.height;
+  const chart = new Chart(
+    canvas,
+    staticChartConfig(config, title, EXPORT_SIZE.scale)
+  );
+  return new Promise((resolve) =>
+    canvas.toBlob((blob) => {
+      chart.destroy();
+      resolve(blob);
+    }, "image/png")
+  );
+}
+
+function renderChartSvg(config, title) {
+  if (typeof C2S === "undefined") {
+    throw new Error("canvas2svg is not loaded");
+  }
+  const ctx = new C2S(EXPORT_SIZE.width, EXPORT_SIZE.height);
+  // Chart.js acquires a context from a canvas-like item; C2S is its own
+  // canvas (ctx.canvas === ctx) but has no getContext. It also lacks
+  // resetTransform and setLineDash, which Chart.js calls on every draw;
+  // C2S keeps no transform to reset and draws dashes as solid lines.
+  ctx.getContext = () => ctx;
+  ctx.resetTransform = () => ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.setLineDash = () => {};
+  // C2S's font parser only accepts double-quoted family names, and our
+  // default family ("'Inter', system-ui, ...") uses single quotes
+  let font = ctx.font;
+  Object.defineProperty(ctx, "font", {
+    get: () => font,
+    set: (value) => {
+      font = value.replace(/'/g, '"');
+    },
+  });
+  const chart = new Chart(ctx, {
+    ...staticChartConfig(config, title, 1),
+    platform: Chart.BasicPlatform,
+  });
+  const svg = ctx.getSerializedSvg(true);
+  chart.destroy();
+  if (!/<(path|rect|text)\b/.test(svg)) {
+    throw new Error("SVG export rendered no chart elements");
+  }
+  return svg;
+}
+
+// RFC 4180 output: quote fields holding delimiters, quotes or newlines
+function csvField(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rowsToCsv(rows) {
+  const headers = Array.from(new Set(rows.flatMap((r) => Object.keys(r))));
+  return [headers, ...rows.map((r) => headers.map((h) => r[h]))]
+    .map((line) => line.map(csvField).join(","))
+    .join("\r\n");
+}
+
+function downloadFile(content, filename, type) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const expOrNull = (v) => (v == null ? null : Math.exp(v));
+
+// Annual periods export as numbers, quarterly ones as "2024Q3"
+const exportPeriod = (t, type) =>
+  t == null || type !== "quarter" ? t : formatPeriod(t, type);
+
+// Row builders: chart config in, tidy rows out (bands and overlays skipped)
+
+function avgPsExportRows(config) {
+  const { labels, datasets } = config.data;
+  return datasets
+    .filter((d) => !d.isBand)
+    .flatMap((d) =>
+      labels.map((period, i) => ({
+        cohort: d.label,
+        period,
+        year: exportPeriod(d.calendarYears[i], d.periodType),
+        logPs: d.data[i],
+        ps: expOrNull(d.data[i]),
+        ciLowPs: d.ci[i] ? Math.exp(d.ci[i].lo) : null,
+        ciHighPs: d.ci[i] ? Math.exp(d.ci[i].hi) : null,
+      }))
+    )
+    .filter((r) => r.logPs != null);
+}
+
+function distributionExportRows(config) {
+  return config.data.datasets.flatMap((d) =>
+    d.data.map((p) => ({
+      group: d.label,
+      company: p.company,
+      year: exportPeriod(p.year, d.periodType),
+      logPs: p.y,
+      ps: Math.exp(p.y),
+      outlier: p.outlier,
+    }))
+  );
+}
+
+function scatterExportRows(config) {
+  return config.data.datasets
+    .filter((d) => !d.isOverlay)
+    .flatMap((d) => {
+      const m = valuationMetric(d.metric);
+      const logKey = (leg) =>
+        `log${leg.key[0].toUpperCase()}${leg.key.slice(1)}`;
+      return d.data.map((p) => ({
+        cohort: d.label,
+        company: p.company,
+        year: exportPeriod(p.year, d.periodType),
+        [m.denominator.key]: p.denominator,
+        [m.numerator.key]: p.numerator,
+        [d.metric]: p.numerator / p.denominator,
+        [logKey(m.denominator)]: p.x,
+        [logKey(m.numerator)]: p.y,
+      }));
+    });
+}
+
+function medianExportRows(config) {
+  const { labels, datasets } = config.data;
+  const d = datasets[0];
+  return labels.map((label, i) => ({
+    cohort: label,
+    medianLogPs: d.data[i],
+    medianPs: expOrNull(d.data[i]),
+    ciLowPs: d.ci[i] ? Math.exp(d.ci[i].lo) : null,
+    ciHighPs: d.ci[i] ? Math.exp(d.ci[i].hi) : null,
+  }));
+}
+
+function marketSizeExportRows(config) {
+  return config.data.datasets.flatMap((d) =>
+    d.data.map((p) => ({
+      cohort: d.cohortLabel,
+      company: d.isCompany ? p.company : "All companies",
+      year: exportPeriod(p.year, d.periodType),
+      nominalMarketCap: p.cap,
+      [d.basis === "gdp" ? "pctOfGdp" : "mcPerNasdaqPointM"]: p.y,
+    }))
+  );
+}
+
+function drawdownExportRows(config) {
+  return config.data.datasets
+    .filter((d) => d.summary)
+    .map((d) => {
+      const { path, ...summary } = d.summary;
       return {
-        type: "bar",
-        data: {
-          labels: ["Dot-com Peak", "Big Tech AI Peak", "Pure AI Peak"],
-          datasets: [
+        cohort: d.cohortLabel,
+        ...summary,
+        peakYear: exportPeriod(summary.peakYear, d.periodType),
+        troughYear: exportPeriod(summary.troughYear, d.periodType),
+        recoveryYear: exportPeriod(summary.recoveryYear, d.periodType),
+        lastYear: exportPeriod(summary.lastYear, d.periodType),
+      };
+    });
+}
+
+// Wide format: one row per date, normalized value plus the raw reading
+function macroExportRows(config) {
+  const byDate = new Map();
+  config.data.datasets.forEach((d) =>
+    d.data.forEach((p) => {
+      const row = byDate.get(p.x) || { date: formatIsoDate(new Date(p.x)) };
+      row[d.label] = p.y;
+      row[`${d.label} (raw)`] = p.original;
+      byDate.set(p.x, row);
+    })
+  );
+  return Array.from(byDate.keys())
+    .sort((a, b) => a - b)
+    .map((k) => byDate.get(k));
+}
+
+// buildConfig is called lazily on click; meta (normalization, range, …) is
+// written into the JSON export next to the rows
+function ExportMenu({ name, title, buildConfig, toRows, meta = {} }) {
+  const run = (label, fn) => async () => {
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`❌ ${label} export failed:`, e);
+    }
+  };
+  const exporters = [
+    [
+      `PNG (${EXPORT_SIZE.scale}×)`,
+      async () =>
+        downloadFile(await renderChartPng(buildConfig(), title), `${name}.png`),
+    ],
+    [
+      "SVG",
+      () =>
+        downloadFile(
+          renderChartSvg(buildConfig(), title),
+          `${name}.svg`,
+          "image/svg+xml"
+        ),
+    ],
+    [
+      "CSV",
+      () =>
+        downloadFile(
+          rowsToCsv(toRows(buildConfig())),
+          `${name}.csv`,
+          "text/csv;charset=utf-8"
+        ),
+    ],
+    [
+      "JSON",
+      () =>
+        downloadFile(
+          JSON.stringify(
             {
-              label: "Hidden",
-              data: realStats.map((s) => s.median),
-              backgroundColor: "transparent",
-              borderWidth: 0,
+              chart: title,
+              exportedAt: new Date().toISOString(),
+              ...meta,
+              rows: toRows(buildConfig()),
             },
-          ],
+            null,
+            2
+          ),
+          `${name}.json`,
+          "application/json"
+        ),
+    ],
+  ];
+
+  return (
+    <details className="export-menu">
+      <summary>⬇ Export</summary>
+      <div className="export-options">
+        {exporters.map(([label, fn]) => (
+          <button key={label} onClick={run(label, fn)}>
+            {label}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+// ================== Report mode =============================
+// One long print-optimized page: every story, both macro charts, captions
+// and a data-source footer. Figures are rendered to PNG with the export
+// renderer so print/PDF output does not depend on responsive canvas sizing.
+
+function ReportFigure({ number, title, caption, buildConfig, renderKey }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    setSrc(null);
+    renderChartPng(buildConfig(), "")
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setSrc(url);
+      })
+      .catch((e) => console.error(`❌ Report figure "${title}" failed:`, e));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [renderKey]);
+
+  return (
+    <figure className="report-figure">
+      {src ? (
+        <img src={src} alt={title} />
+      ) : (
+        <div className="report-figure-placeholder">Rendering {title}…</div>
+      )}
+      <figcaption>
+        <strong>Figure {number}.</strong> {caption}
+      </figcaption>
+    </figure>
+  );
+}
+
+// stories: [{ id, title, body, bullets, caption, buildConfig, extra }]
+// macroFigures: [{ title, caption, buildConfig }]
+function ReportView({
+  stories,
+  macroFigures,
+  cohorts,
+  sources,
+  renderKey,
+  onClose,
+}) {
+  const generatedAt = new Date().toLocaleString();
+
+  return (
+    <div className="report">
+      <div className="report-toolbar">
+        <button className="story-btn" onClick={onClose}>
+          ← Back to dashboard
+        </button>
+        <button className="story-btn active" onClick={() => window.print()}>
+          🖨️ Print / save as PDF
+        </button>
+      </div>
+
+      <header className="report-header">
+        <div className="tag">Dot-com vs AI · Report</div>
+        <h1>Is the AI bubble real?</h1>
+        <p>
+          Cohorts:{" "}
+          {cohorts
+            .map(
+              (c) => `${c.label} (peak ${c.peakWindow[0]}–${c.peakWindow[1]})`
+            )
+            .join(" · ")}
+        </p>
+      </header>
+
+      {stories.map((s, i) => (
+        <section key={s.id} className="report-section">
+          <h2>
+            {i + 1}. {s.title}
+          </h2>
+          <p>{s.body}</p>
+          {s.bullets.length > 0 && (
+            <ul>
+              {s.bullets.map((b, i) => (
+                <li key={i}>{b}</li>
+              ))}
+            </ul>
+          )}
+          <ReportFigure
+            number={i + 1}
+            title={s.title}
+            caption={s.caption}
+            buildConfig={s.buildConfig}
+            renderKey={renderKey}
+          />
+          {s.extra}
+        </section>
+      ))}
+
+      <section className="report-section">
+        <h2>{stories.length + 1}. Macroeconomic context</h2>
+        {macroFigures.map((f, i) => (
+          <div key={f.title} className="report-macro">
+            <h3>{f.title}</h3>
+            <ReportFigure
+              number={stories.length + i + 1}
+              title={f.title}
+              caption={f.caption}
+              buildConfig={f.buildConfig}
+              renderKey={renderKey}
+            />
+          </div>
+        ))}
+      </section>
+
+      <footer className="report-footer">
+        <span>Generated {generatedAt}</span>
+        <span>Data sources: {sources.join(" · ")}</span>
+      </footer>
+    </div>
+  );
+}
+
+// ================== Data quality panel ======================
+
+function QualityList({ title, items, format }) {
+  if (!items.length) return null;
+  return (
+    <details className="quality-details">
+      <summary>
+        {title} ({items.length})
+      </summary>
+      <ul>
+        {items.map((item, i) => (
+          <li key={i}>{format(item)}</li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+function DataQualityPanel({ reports }) {
+  return (
+    <div className="quality-grid">
+      {reports.map((r, i) => (
+        <div key={`${r.label}-${i}`} className="card quality-card">
+          <div className="quality-head">
+            <h3>{r.label}</h3>
+            <span className={`quality-source ${r.source || "missing"}`}>
+              {SOURCE_LABELS[r.source] || "unknown"}
+            </span>
+          </div>
+          <div className="quality-stats">
+            <span>{r.companies} companies</span>
+            <span>{r.records} records</span>
+            <span>{r.missingCells.length} missing</span>
+            <span>{r.coercedValues.length} coerced</span>
+            <span>{r.skippedRows.length} skipped rows</span>
+          </div>
+          {r.issues.length > 0 && (
+            <ul className="quality-issues">
+              {r.issues.map((issue, i) => (
+                <li key={i} className={issue.level}>
+                  {issue.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <QualityList
+            title="Missing cells"
+            items={r.missingCells}
+            format={(c) => `${c.company} ${c.year}: ${c.metric}`}
+          />
+          <QualityList
+            title="Coerced values"
+            items={r.coercedValues}
+            format={(c) =>
+              `${c.company} ${c.year}: ${c.metric} "${c.raw}" → null (${c.reason})`
+            }
+          />
+          <QualityList
+            title="Skipped rows"
+            items={r.skippedRows}
+            format={(c) => `Row ${c.row}: ${c.reason}`}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ================== Significance panel ======================
+
+function formatP(p) {
+  if (p == null) return "–";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+function SignificancePanel({ cohorts, metric = "ps" }) {
+  const key = JSON.stringify(cohorts.map((c) => [c.id, c.peakLog]));
+  const pairs = useMemo(() => compareCohortPeaks(cohorts), [key]);
+
+  if (!pairs.length) return null;
+  return (
+    <div className="sig-panel">
+      <div className="peak-controls-title">
+        Peak log({valuationMetric(metric).label}): pairwise tests
+      </div>
+      <table className="sig-table">
+        <thead>
+          <tr>
+            <th>Pair</th>
+            <th title="Mann-Whitney U p-value / rank-biserial r">MWU p (r)</th>
+            <th title="Permutation test on the median difference / ratio of medians">
+              Perm. p (med ×)
+            </th>
+            <th title="Kolmogorov-Smirnov p-value / D statistic; exact for small samples, asymptotic otherwise">
+              KS p (D)
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {pairs.map(({ a, b, mwu, perm, ks }) => (
+            <tr key={`${a.id}-${b.id}`}>
+              <td>
+                <span style={{ color: a.color.solid }}>{a.label}</span> vs{" "}
+                <span style={{ color: b.color.solid }}>{b.label}</span>
+              </td>
+              <td className={mwu.p < 0.05 ? "sig" : ""}>
+                {formatP(mwu.p)} ({mwu.effect.toFixed(2)})
+              </td>
+              <td className={perm.p < 0.05 ? "sig" : ""}>
+                {formatP(perm.p)} ({Math.exp(perm.diff).toFixed(2)}×)
+              </td>
+              <td className={ks.p < 0.05 ? "sig" : ""}>
+                {formatP(ks.p)} ({ks.d.toFixed(2)}){ks.exact ? "" : "*"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="sig-note">
+        Two-sided; bold where p &lt; 0.05. KS p-values are exact up to{" "}
+        {KS_EXACT_MAX_N} pooled values (* marks the asymptotic fallback).
+        Samples pool company-years in each peak window, so treat p-values as
+        indicative.
+      </p>
+    </div>
+  );
+}
+
+// ================== Peak window brush =======================
+
+function PeakWindowControls({ cohorts, onChange }) {
+  return (
+    <div className="peak-controls">
+      <div className="peak-controls-title">Peak windows</div>
+      {cohorts.map((c) => {
+        const [minYear, maxYear] = c.years;
+        const [start, end] = c.peakWindow;
+        if (maxYear < minYear) return null;
+        return (
+          <div key={c.id} className="field">
+            <label style={{ color: c.color.solid }}>{c.label}</label>
+            <div className="badges">
+              <span>{start}</span>
+              <span>{end}</span>
+            </div>
+            <input
+              type="range"
+              min={minYear}
+              max={maxYear}
+              value={start}
+              onChange={(e) =>
+                onChange(c.id, [Math.min(Number(e.target.value), end), end])
+              }
+            />
+            <input
+              type="range"
+              min={minYear}
+              max={maxYear}
+              value={end}
+              onChange={(e) =>
+                onChange(c.id, [
+                  start,
+                  Math.max(Number(e.target.value), start),
+                ])
+              }
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ================== Company drill-down ======================
+
+function companyPathChartConfig(path, color, periodType, dollarBase) {
+  const positive = (v) => (v > 0 ? v : null);
+  return {
+    type: "line",
+    data: {
+      labels: path.map((r) => formatPeriod(r.Year, periodType)),
+      datasets: [
+        {
+          label: "Market Cap ($bn)",
+          data: path.map((r) => positive(r.MarketCap)),
+          borderColor: color.solid,
+          backgroundColor: color.fill,
+          borderWidth: 3,
+          pointRadius: 3,
+          tension: 0.3,
+          yAxisID: "y",
+        },
+        {
+          label: "Revenue ($bn)",
+          data: path.map((r) => positive(r.Revenue)),
+          borderColor: "#e2e8f0",
+          backgroundColor: "rgba(226, 232, 240, 0.2)",
+          borderWidth: 2,
+          pointRadius: 3,
+          tension: 0.3,
+          yAxisID: "y",
+        },
+        {
+          label: "P/S",
+          data: path.map((r) => positive(r.ValRev)),
+          borderColor: "#fbbf24",
+          backgroundColor: "rgba(251, 191, 36, 0.2)",
+          borderDash: [6, 4],
+          borderWidth: 2,
+          pointRadius: 3,
+          tension: 0.3,
+          yAxisID: "y1",
         },
-        plugins: [boxplotPlugin],
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false },
-            tooltip: { enabled: false },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { usePointStyle: true, boxWidth: 6 } },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+        },
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: {
+          type: "logarithmic",
+          title: {
+            display: true,
+            text: `${dollarUnit(dollarBase)} (log scale)`,
           },
-          scales: {
-            x: { grid: { display: false } },
-            y: {
-              title: { display: true, text: "log(P/S Distribution)" },
-              suggestedMin: yBounds.min,
-              suggestedMax: yBounds.max,
+        },
+        y1: {
+          type: "logarithmic",
+          position: "right",
+          grid: { display: false },
+          title: { display: true, text: "P/S (log scale)" },
+        },
+      },
+    },
+  };
+}
+
+function CompanyPathChart({ path, color, periodType, dollarBase }) {
+  const canvasRef = useRef(null);
+  useChart(
+    canvasRef,
+    () => companyPathChartConfig(path, color, periodType, dollarBase),
+    [JSON.stringify(path), color.solid, periodType, dollarBase]
+  );
+  return <canvas ref={canvasRef} />;
+}
+
+function CompanySearch({ cohorts, onSelect }) {
+  const [query, setQuery] = useState("");
+  const options = cohorts.flatMap((c) =>
+    listCompanies(c.records).map((company) => ({
+      key: `${company} · ${c.label}`,
+      cohortId: c.id,
+      company,
+    }))
+  );
+
+  return (
+    <div className="drill-search">
+      <input
+        type="search"
+        list="company-options"
+        placeholder="Search a company (e.g. Nvidia)…"
+        value={query}
+        onChange={(e) => {
+          const value = e.target.value;
+          setQuery(value);
+          const match =
+            options.find((o) => o.key === value) ||
+            options.find(
+              (o) => o.company.toLowerCase() === value.trim().toLowerCase()
+            );
+          if (match) {
+            onSelect({ cohortId: match.cohortId, company: match.company });
+            setQuery("");
+          }
+        }}
+      />
+      <datalist id="company-options">
+        {options.map((o) => (
+          <option key={o.key} value={o.key} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
+
+function formatBn(v) {
+  if (v == null) return "–";
+  return v >= 100 ? v.toFixed(0) : v.toFixed(2);
+}
+
+function CompanyDrilldown({ cohorts, selection, onSelect, onClose }) {
+  const cohort = cohorts.find((c) => c.id === selection.cohortId);
+  if (!cohort) return null;
+  const companies = listCompanies(cohort.records);
+  const company = companies.includes(selection.company)
+    ? selection.company
+    : topCompany(cohort.records, cohort.peakWindow);
+  if (!company) return null;
+  const path = companyPath(cohort.records, company);
+  // Earnings-based columns only when the panel has net income
+  const hasEarnings = path.some((r) => r.NetIncome != null);
+  const realSuffix =
+    cohort.dollarBase != null ? ` (${cohort.dollarBase} $)` : "";
+
+  return (
+    <div className="card drill-card">
+      <div className="drill-head">
+        <div>
+          <div className="info-headline" style={{ marginBottom: 4 }}>
+            {company}
+          </div>
+          <span style={{ color: cohort.color.solid }}>{cohort.label}</span>
+        </div>
+        <div className="drill-actions">
+          <select
+            value={company}
+            onChange={(e) =>
+              onSelect({ cohortId: cohort.id, company: e.target.value })
+            }
+          >
+            {companies.map((name) => (
+              <option key={name}>{name}</option>
+            ))}
+          </select>
+          <button className="upload-remove" onClick={onClose}>
+            ×
+          </button>
+        </div>
+      </div>
+
+      <div className="drill-grid">
+        <div className="chart-container" style={{ height: 300 }}>
+          <CompanyPathChart
+            path={path}
+            color={cohort.color}
+            periodType={cohort.periodType}
+            dollarBase={cohort.dollarBase}
+          />
+        </div>
+        <table className="sig-table">
+          <thead>
+            <tr>
+              <th>{PERIOD_TYPES[cohort.periodType].label}</th>
+              <th>Mkt cap{realSuffix}</th>
+              <th>Revenue{realSuffix}</th>
+              <th>P/S</th>
+              {hasEarnings && <th>P/E</th>}
+              {hasEarnings && <th>Margin</th>}
+              <th title="Rank by P/S within the cohort that year (1 = highest)">
+                Rank
+              </th>
+              <th title="Share of the cohort's summed P/S, i.e. of its mean P/S">
+                Share of avg
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {path.map((r) => (
+              <tr key={r.Year}>
+                <td>{formatPeriod(r.Year, cohort.periodType)}</td>
+                <td>{formatBn(r.MarketCap)}</td>
+                <td>{formatBn(r.Revenue)}</td>
+                <td>{r.ValRev != null ? `${r.ValRev.toFixed(1)}x` : "–"}</td>
+                {hasEarnings && (
+                  <td>{r.PE != null ? `${r.PE.toFixed(1)}x` : "–"}</td>
+                )}
+                {hasEarnings && (
+                  <td>{r.Margin != null ? formatPercent(r.Margin) : "–"}</td>
+                )}
+                <td>{r.rank ? `${r.rank}/${r.peers}` : "–"}</td>
+                <td>
+                  {r.share != null ? `${(r.share * 100).toFixed(0)}%` : "–"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ================== Scenario simulator ======================
+
+const SCENARIO_MODES = {
+  cagr: "Revenue CAGR needed",
+  drawdown: "Market-cap change at flat revenue",
+};
+
+function formatSignedPercent(v) {
+  return `${v > 0 ? "+" : ""}${(v * 100).toFixed(0)}%`;
+}
+
+// Horizontal bars: the chosen cohort's implied numbers first, then what the
+// reference cohort actually did. Datasets carry per-bar companies so clicks
+// open the drill-down.
+function scenarioChartConfig({ implied, realized, mode, cohort, reference }) {
+  const impliedRows = [...implied]
+    .map((r) => ({
+      ...r,
+      value: mode === "cagr" ? r.requiredCagr : r.flatRevenueChange,
+    }))
+    .sort((a, b) => b.value - a.value);
+  const realizedRows = realized
+    ? [...realized.rows]
+        .map((r) => ({
+          ...r,
+          value: mode === "cagr" ? r.revenueCagr : r.marketCapChange,
+        }))
+        .sort((a, b) => b.value - a.value)
+    : [];
+  const span = realized ? `${realized.years[0]}–${realized.years[1]}` : "";
+  const pad = (n) => Array(n).fill(null);
+
+  return {
+    type: "bar",
+    data: {
+      labels: [
+        ...impliedRows.map((r) => r.company),
+        ...realizedRows.map((r) => `${r.company} (${span})`),
+      ],
+      datasets: [
+        {
+          cohortId: cohort.id,
+          label: `${cohort.label}: ${SCENARIO_MODES[mode]}`,
+          companies: [
+            ...impliedRows.map((r) => r.company),
+            ...pad(realizedRows.length),
+          ],
+          rows: impliedRows,
+          data: [
+            ...impliedRows.map((r) => r.value),
+            ...pad(realizedRows.length),
+          ],
+          backgroundColor: cohort.color.fill,
+          borderColor: cohort.color.solid,
+          borderWidth: 2,
+          borderRadius: 4,
+          skipNull: true,
+        },
+        ...(realized
+          ? [
+              {
+                cohortId: reference.id,
+                label: `${reference.label}: actual ${
+                  mode === "cagr" ? "revenue CAGR" : "market-cap change"
+                } ${span}`,
+                companies: [
+                  ...pad(impliedRows.length),
+                  ...realizedRows.map((r) => r.company),
+                ],
+                rows: [...pad(impliedRows.length), ...realizedRows],
+                data: [
+                  ...pad(impliedRows.length),
+                  ...realizedRows.map((r) => r.value),
+                ],
+                backgroundColor: reference.color.fill,
+                borderColor: reference.color.solid,
+                borderWidth: 2,
+                borderRadius: 4,
+                skipNull: true,
+              },
+            ]
+          : []),
+      ],
+    },
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { usePointStyle: true, boxWidth: 6 } },
+        tooltip: {
+          backgroundColor: THEME.tooltipBg,
+          borderColor: THEME.tooltipBorder,
+          borderWidth: 1,
+          callbacks: {
+            label: (c) => {
+              const row = c.dataset.rows[c.dataIndex];
+              const context =
+                c.datasetIndex === 0
+                  ? `now ${row.ps.toFixed(1)}x P/S (${formatPeriod(
+                      row.year,
+                      cohort.periodType
+                    )})`
+                  : `P/S ${row.psFrom.toFixed(1)}x → ${row.psTo.toFixed(1)}x`;
+              return `${formatSignedPercent(c.raw)} · ${context}`;
             },
           },
         },
-      };
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text:
+              mode === "cagr"
+                ? "Revenue growth per year"
+                : "Market-cap change",
+          },
+          ticks: { callback: (v) => formatSignedPercent(v) },
+        },
+        y: { grid: { display: false } },
+      },
     },
-    [JSON.stringify(realStats)]
+  };
+}
+
+function ScenarioChart({ implied, realized, mode, cohort, reference, onPick }) {
+  const canvasRef = useRef(null);
+  useChart(
+    canvasRef,
+    () =>
+      withPointPicker(
+        scenarioChartConfig({ implied, realized, mode, cohort, reference }),
+        onPick
+      ),
+    [
+      JSON.stringify(implied),
+      JSON.stringify(realized),
+      mode,
+      cohortKey([cohort]),
+      reference ? cohortKey([reference]) : "",
+    ]
+  );
+  return <canvas ref={canvasRef} />;
+}
+
+// scenario: { cohortId, targetPs, horizon, mode }
+function ScenarioPanel({ cohorts, scenario, onChange, onPick }) {
+  // Raw text of the target P/S field, so it can be cleared mid-edit; only
+  // positive numbers reach the scenario and anything else reverts on blur
+  const [targetText, setTargetText] = useState(String(scenario.targetPs));
+  useEffect(() => {
+    // Follow presets and URL changes, but leave text like "1.50" alone
+    setTargetText((text) =>
+      Number(text) === scenario.targetPs ? text : String(scenario.targetPs)
+    );
+  }, [scenario.targetPs]);
+  const candidates = cohorts.filter((c) => c.records.length);
+  const cohort =
+    candidates.find((c) => c.id === scenario.cohortId) || candidates[0];
+  if (!cohort) return null;
+  const reference = cohorts.find(
+    (c) => c.id === SCENARIO_REFERENCE.cohortId
   );
+  const [from, to] = SCENARIO_REFERENCE.years;
+
+  const implied = impliedScenario(cohort.records, scenario);
+  const realized = reference
+    ? realizedAftermath(reference.records, SCENARIO_REFERENCE.years)
+    : null;
+  const set = (patch) => onChange({ ...scenario, ...patch });
+
+  const isCagr = scenario.mode === "cagr";
+  const impliedVals = implied.map((r) =>
+    isCagr ? r.requiredCagr : r.flatRevenueChange
+  );
+  const realizedVals = realized
+    ? realized.rows.map((r) => (isCagr ? r.revenueCagr : r.marketCapChange))
+    : [];
+  const referencePs = realized
+    ? medianOf(realized.rows.map((r) => r.psTo))
+    : null;
+
+  let summary = "";
+  if (implied.length) {
+    const med = medianOf(impliedVals);
+    summary = isCagr
+      ? `Median required revenue CAGR for ${cohort.label}: ${formatSignedPercent(
+          med
+        )} a year for ${scenario.horizon} years to reach ${
+          scenario.targetPs
+        }× P/S at today's market caps.`
+      : `At flat revenue, reaching ${scenario.targetPs}× P/S means a median market-cap change of ${formatSignedPercent(
+          med
+        )} for ${cohort.label}.`;
+    if (realized) {
+      const refMed = medianOf(realizedVals);
+      const best = Math.max(...realizedVals);
+      const worst = Math.min(...realizedVals);
+      const span = `${realized.years[0]}–${realized.years[1]}`;
+      summary += isCagr
+        ? ` ${reference.label} companies actually grew revenue ${formatSignedPercent(
+            refMed
+          )} a year (median) over ${span}; ${
+            impliedVals.filter((v) => v > best).length
+          } of ${implied.length} would need to beat the fastest of them (${formatSignedPercent(
+            best
+          )}).`
+        : ` ${reference.label} market caps moved a median ${formatSignedPercent(
+            refMed
+          )} over ${span} (worst ${formatSignedPercent(worst)}).`;
+    }
+  }
+
+  return (
+    <div className="card scenario-card">
+      <div className="scenario-controls">
+        <div className="field">
+          <label>Cohort</label>
+          <select
+            value={cohort.id}
+            onChange={(e) => set({ cohortId: e.target.value })}
+          >
+            {candidates.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="field">
+          <label>Target P/S</label>
+          <input
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={targetText}
+            onChange={(e) => {
+              setTargetText(e.target.value);
+              const v = Number(e.target.value);
+              if (v > 0) set({ targetPs: v });
+            }}
+            onBlur={() => setTargetText(String(scenario.targetPs))}
+          />
+          <div className="scenario-presets">
+            {[5, 10].map((v) => (
+              <button key={v} onClick={() => set({ targetPs: v })}>
+                {v}×
+              </button>
+            ))}
+            {referencePs != null && (
+              <button
+                title={`Median P/S of ${reference.label} companies in ${realized.years[1]}`}
+                onClick={() =>
+                  set({ targetPs: Number(referencePs.toFixed(1)) })
+                }
+              >
+                {reference.label} {realized.years[1]} (
+                {referencePs.toFixed(1)}×)
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="field">
+          <label>Horizon (years)</label>
+          <input
+            type="number"
+            min="1"
+            max="30"
+            step="1"
+            value={scenario.horizon}
+            onChange={(e) => {
+              const v = Math.round(Number(e.target.value));
+              if (v >= 1 && v <= 30) set({ horizon: v });
+            }}
+          />
+        </div>
+        <div className="field">
+          <label>Scenario</label>
+          <div className="controls-row" style={{ marginTop: 0 }}>
+            {Object.keys(SCENARIO_MODES).map((m) => (
+              <button
+                key={m}
+                className={`story-btn ${scenario.mode === m ? "active" : ""}`}
+                onClick={() => set({ mode: m })}
+              >
+                {SCENARIO_MODES[m]}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
 
-  return <canvas ref={canvasRef} />;
-}
+      {summary && <p className="scenario-summary">{summary}</p>}
+      {reference && !realized && (
+        <p className="sig-note">
+          The {reference.label} panel has no data after {from}, so the{" "}
+          {from}–{to} comparison appears once those years are loaded.
+        </p>
+      )}
 
-function McRevScatterChart({ dotcom, aiPure, aiBroad }) {
-  const canvasRef = useRef(null);
+      <div className="chart-container">
+        <ScenarioChart
+          implied={implied}
+          realized={realized}
+          mode={scenario.mode}
+          cohort={cohort}
+          reference={reference}
+          onPick={onPick}
+        />
+      </div>
+    </div>
+  );
+}
 
-  const makePoints = (records) =>
-    records
-      .filter((r) => r.MarketCap > 0 && r.Revenue > 0)
-      .map((r) => ({
-        x: Math.log(r.Revenue),
-        y: Math.log(r.MarketCap),
-      }));
+// ================== Cohort upload ===========================
 
-  useChart(
-    canvasRef,
-    () => ({
-      type: "scatter",
-      data: {
-        datasets: [
-          {
-            label: "Dot-com",
-            data: makePoints(dotcom),
-            backgroundColor: SERIES_COLORS.dotcom.fill,
-            borderColor: SERIES_COLORS.dotcom.solid,
-            borderWidth: 1,
-            pointRadius: 4,
-            pointHoverRadius: 6,
-          },
-          {
-            label: "Big Tech AI",
-            data: makePoints(aiPure),
-            backgroundColor: SERIES_COLORS.bigTech.fill,
-            borderColor: SERIES_COLORS.bigTech.solid,
-            borderWidth: 1,
-            pointRadius: 4,
-            pointHoverRadius: 6,
-          },
-          {
-            label: "Pure-play AI",
-            data: makePoints(aiBroad),
-            backgroundColor: SERIES_COLORS.pureAi.fill,
-            borderColor: SERIES_COLORS.pureAi.solid,
-            borderWidth: 1,
-            pointRadius: 4,
-            pointHoverRadius: 6,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: { labels: { usePointStyle: true } },
-          tooltip: {
-            backgroundColor: THEME.tooltipBg,
-            borderColor: THEME.tooltipBorder,
-            borderWidth: 1,
-            callbacks: {
-              label: (c) =>
-                `${c.dataset.label}: log(Rev)=${c.raw.x.toFixed(
-                  2
-                )}, log(MC)=${c.raw.y.toFixed(2)}`,
-            },
-          },
-        },
-        scales: {
-          x: {
-            title: { display: true, text: "log(Revenue)" },
-            grid: { display: false },
-          },
-          y: {
-            title: { display: true, text: "log(Market Cap)" },
-          },
-        },
-      },
-    }),
-    [dotcom.length, aiPure.length, aiBroad.length]
+// Pick one cohort sheet of a dropped workbook, or add them all
+function SheetPicker({ workbook, onAdd, onDiscard }) {
+  const [choice, setChoice] = useState("");
+  return (
+    <div className="upload-row sheet-picker">
+      <span className="upload-meta">
+        {workbook.fileName}: {workbook.sheets.length} cohort sheets
+      </span>
+      <select value={choice} onChange={(e) => setChoice(e.target.value)}>
+        <option value="">All sheets</option>
+        {workbook.sheets.map((s) => (
+          <option key={s.sheet} value={s.sheet}>
+            {s.sheet}
+            {s.label !== s.sheet ? ` (${s.label})` : ""}
+          </option>
+        ))}
+      </select>
+      <button
+        className="link-btn"
+        onClick={() => onAdd(workbook.id, choice || null)}
+      >
+        Add
+      </button>
+      <button className="upload-remove" onClick={() => onDiscard(workbook.id)}>
+        ×
+      </button>
+    </div>
   );
-
-  return <canvas ref={canvasRef} />;
 }
 
-function MedianPsBarChart({ dotMed, pureMed, broadMed }) {
-  const canvasRef = useRef(null);
+function CohortUpload({
+  cohorts,
+  pendingWorkbooks,
+  onFiles,
+  onAddSheets,
+  onDiscardWorkbook,
+  onUpdate,
+  onRemove,
+}) {
+  const inputRef = useRef(null);
 
-  useChart(
-    canvasRef,
-    () => ({
-      type: "bar",
-      data: {
-        labels: ["Dot-com Peak", "Big Tech AI Peak", "Pure AI Peak"],
-        datasets: [
-          {
-            label: "Median log(P/S)",
-            data: [dotMed, pureMed, broadMed],
-            backgroundColor: [
-              SERIES_COLORS.dotcom.fill,
-              SERIES_COLORS.bigTech.fill,
-              SERIES_COLORS.pureAi.fill,
-            ],
-            borderColor: [
-              SERIES_COLORS.dotcom.solid,
-              SERIES_COLORS.bigTech.solid,
-              SERIES_COLORS.pureAi.solid,
-            ],
-            borderWidth: 2,
-            borderRadius: 8,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: { legend: { display: false } },
-        scales: {
-          x: { grid: { display: false } },
-          y: {
-            title: { display: true, text: "Median log(P/S)" },
-          },
-        },
-      },
-    }),
-    [dotMed, pureMed, broadMed]
+  return (
+    <div className="upload-box">
+      <div className="upload-drop" onClick={() => inputRef.current?.click()}>
+        Drop a CSV/XLSX (Company / Metric / year or quarter columns) anywhere
+        on the page, or click to browse. Workbooks may hold one cohort per
+        sheet plus a "Metadata" sheet (Sheet, Label, Color, Peak Start, Peak
+        End).
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".csv,.xlsx,.xls"
+          multiple
+          hidden
+          onChange={(e) => {
+            onFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+      </div>
+      {pendingWorkbooks.map((w) => (
+        <SheetPicker
+          key={w.id}
+          workbook={w}
+          onAdd={onAddSheets}
+          onDiscard={onDiscardWorkbook}
+        />
+      ))}
+      {cohorts.map((c) => (
+        <div key={c.id} className="upload-row">
+          <input
+            type="color"
+            value={c.color.solid}
+            onChange={(e) => onUpdate(c.id, { colorHex: e.target.value })}
+          />
+          <input
+            type="text"
+            value={c.label}
+            onChange={(e) => onUpdate(c.id, { label: e.target.value })}
+          />
+          <span className="upload-meta">
+            {c.years[1] >= c.years[0]
+              ? `${c.years[0]}–${c.years[1]}`
+              : "no years"}
+          </span>
+          <button className="upload-remove" onClick={() => onRemove(c.id)}>
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
   );
+}
 
-  return <canvas ref={canvasRef} />;
+// ============================================================
+// 5. Shareable view state (URL hash)
+// ============================================================
+
+// The dashboard view is mirrored into location.hash as search params, so a
+// link reopens the same story, cohorts and macro settings. Only registry
+// cohorts are addressable (uploads live in memory), and the macro range is
+// stored as dates rather than row indices so links survive data updates.
+
+const STORY_IDS = [
+  "ps-trend",
+  "peaks",
+  "scale",
+  "median",
+  "drawdown",
+  "size",
+];
+
+const DEFAULT_VIEW = {
+  story: "ps-trend",
+  hidden: [],
+  peakWindows: {},
+  psStat: "mean",
+  metric: "ps",
+  realBase: null, // null = nominal dollars
+  alignToPeak: false,
+  showCi: true,
+  distView: "box",
+  sizeBasis: "gdp",
+  scatterLayers: { trajectories: false, fits: true, isoLines: true },
+  drill: null,
+  macroCols: null, // null = every available column
+  macroDates: null, // null = full history
+  macroNormalization: "Z-score (standardize)",
+  macroZoom: "AI Boom (2022–2025)",
+  report: false,
+  scenario: { cohortId: "pureAi", targetPs: 10, horizon: 5, mode: "cagr" },
+};
+
+function encodeViewState(view) {
+  const params = new URLSearchParams();
+  const list = (obj) => Object.keys(obj).filter((k) => obj[k]);
+
+  params.set("story", view.story);
+  if (view.hidden.length) params.set("hide", view.hidden.join(","));
+  const peaks = Object.keys(view.peakWindows)
+    .filter((id) => COHORTS.some((c) => c.id === id))
+    .map((id) => `${id}:${view.peakWindows[id].join("-")}`);
+  if (peaks.length) params.set("peaks", peaks.join(","));
+  params.set("stat", view.psStat);
+  params.set("metric", view.metric);
+  if (view.realBase != null) params.set("real", view.realBase);
+  params.set("align", view.alignToPeak ? "1" : "0");
+  params.set("ci", view.showCi ? "1" : "0");
+  params.set("dist", view.distView);
+  params.set("size", view.sizeBasis);
+  params.set("layers", list(view.scatterLayers).join(","));
+  if (view.drill && COHORTS.some((c) => c.id === view.drill.cohortId)) {
+    params.set("drill", `${view.drill.cohortId}:${view.drill.company || ""}`);
+  }
+  if (view.macroCols) params.set("macro", view.macroCols.join(","));
+  if (view.macroDates) params.set("range", view.macroDates.join(".."));
+  params.set("norm", view.macroNormalization);
+  params.set("zoom", view.macroZoom);
+  if (view.report) params.set("report", "1");
+  const { cohortId, targetPs, horizon, mode } = view.scenario;
+  params.set("scenario", [cohortId, targetPs, horizon, mode].join(":"));
+  return params.toString();
 }
 
-// ================== Macro chart ============================
+// Missing or malformed params fall back to DEFAULT_VIEW, so hand-edited or
+// stale links still open
+function decodeViewState(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const view = { ...DEFAULT_VIEW };
+  const list = (key) => (params.get(key) || "").split(",").filter(Boolean);
 
-function MacroLineChart({ series, yTitle }) {
-  const canvasRef = useRef(null);
+  if (STORY_IDS.includes(params.get("story"))) view.story = params.get("story");
+  view.hidden = list("hide").filter((id) => COHORTS.some((c) => c.id === id));
+  view.peakWindows = list("peaks").reduce((acc, entry) => {
+    const [id, range] = entry.split(":");
+    const [first, last] = (range || "").split("-").map(Number);
+    // Only a year pair; App clamps it to the panel once data has loaded
+    return COHORTS.some((c) => c.id === id) &&
+      Number.isInteger(first) &&
+      Number.isInteger(last) &&
+      first <= last
+      ? { ...acc, [id]: [first, last] }
+      : acc;
+  }, {});
+  // hasOwn, not `in`: "constructor" and friends must not pass as keys
+  if (Object.hasOwn(AGGREGATIONS, params.get("stat"))) {
+    view.psStat = params.get("stat");
+  }
+  if (Object.hasOwn(VALUATION_METRICS, params.get("metric"))) {
+    view.metric = params.get("metric");
+  }
+  const realBase = Number(params.get("real"));
+  if (params.has("real") && Number.isInteger(realBase)) {
+    view.realBase = realBase;
+  }
+  if (params.has("align")) view.alignToPeak = params.get("align") === "1";
+  if (params.has("ci")) view.showCi = params.get("ci") === "1";
+  if (Object.hasOwn(DISTRIBUTION_VIEWS, params.get("dist"))) {
+    view.distView = params.get("dist");
+  }
+  if (Object.hasOwn(MARKET_SIZE_BASES, params.get("size"))) {
+    view.sizeBasis = params.get("size");
+  }
+  if (params.has("layers")) {
+    const on = list("layers");
+    view.scatterLayers = Object.keys(DEFAULT_VIEW.scatterLayers).reduce(
+      (acc, k) => ({ ...acc, [k]: on.includes(k) }),
+      {}
+    );
+  }
+  if (params.has("drill")) {
+    const raw = params.get("drill");
+    const cut = raw.indexOf(":");
+    const cohortId = cut < 0 ? raw : raw.slice(0, cut);
+    if (COHORTS.some((c) => c.id === cohortId)) {
+      view.drill = {
+        cohortId,
+        company: cut < 0 ? null : raw.slice(cut + 1) || null,
+      };
+    }
+  }
+  if (params.has("macro")) view.macroCols = list("macro");
+  const dates = (params.get("range") || "").split("..");
+  if (dates.length === 2 && dates.every((d) => !isNaN(new Date(d)))) {
+    view.macroDates = dates;
+  }
+  if (MACRO_NORMALIZATIONS.includes(params.get("norm"))) {
+    view.macroNormalization = params.get("norm");
+  }
+  const zoom = params.get("zoom");
+  if (zoom === "None" || Object.hasOwn(MACRO_ERAS, zoom)) view.macroZoom = zoom;
+  view.report = params.get("report") === "1";
+  const [scnCohort, scnTarget, scnHorizon, scnMode] = (
+    params.get("scenario") || ""
+  ).split(":");
+  if (
+    COHORTS.some((c) => c.id === scnCohort) &&
+    Number(scnTarget) > 0 &&
+    Number.isInteger(Number(scnHorizon)) &&
+    Number(scnHorizon) >= 1 &&
+    Object.hasOwn(SCENARIO_MODES, scnMode)
+  ) {
+    view.scenario = {
+      cohortId: scnCohort,
+      targetPs: Number(scnTarget),
+      horizon: Number(scnHorizon),
+      mode: scnMode,
+    };
+  }
+  return view;
+}
 
-  useChart(
-    canvasRef,
-    () => ({
-      type: "line",
-      data: {
-        datasets: series.map((s, idx) => ({
-          label: s.label,
-          data: s.data,
-          borderColor: s.color || MACRO_COLORS[idx % MACRO_COLORS.length],
-          backgroundColor:
-            (s.color || MACRO_COLORS[idx % MACRO_COLORS.length]) + "20",
-          tension: 0.3,
-          pointRadius: 0,
-          borderWidth: 2,
-          fill: false,
-        })),
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        interaction: { mode: "index", intersect: false },
-        plugins: {
-          legend: {
-            position: "top",
-            labels: { usePointStyle: true, boxWidth: 6 },
-          },
-          tooltip: {
-            backgroundColor: THEME.tooltipBg,
-            borderColor: THEME.tooltipBorder,
-            borderWidth: 1,
-            callbacks: {
-              title: (items) =>
-                items[0]
-                  ? formatDateLabel(new Date(items[0].raw.x))
-                  : "",
-            },
-          },
-        },
-        scales: {
-          x: {
-            type: "linear",
-            ticks: {
-              callback: (v) => formatDateLabel(new Date(v)),
-              maxTicksLimit: 8,
-            },
-            grid: { display: false },
-          },
-          y: {
-            title: { display: true, text: yTitle },
-          },
-        },
-      },
-    }),
-    [JSON.stringify(series), yTitle]
-  );
+// Dates → [first, last] row indices; anything unresolvable means full range
+function resolveMacroRange(rows, dates) {
+  const last = Math.max(rows.length - 1, 0);
+  if (!dates || !rows.length) return [0, last];
+  const [from, to] = dates.map((d) => new Date(d).getTime());
+  const lo = rows.findIndex((r) => r.Date.getTime() >= from);
+  let hi = last;
+  while (hi > 0 && rows[hi].Date.getTime() > to) hi -= 1;
+  return lo < 0 || lo > hi ? [0, last] : [lo, hi];
+}
 
-  return <canvas ref={canvasRef} />;
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
 }
 
 // ============================================================
-// 5. Main Application
+// 6. Main Application
 // ============================================================
 
 function App() {
-  const [dotcom, setDotcom] = useState([]);
-  const [aiBroad, setAiBroad] = useState([]);
-  const [aiPure, setAiPure] = useState([]);
+  const [panels, setPanels] = useState({});
   const [macroRows, setMacroRows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [usingFallback, setUsingFallback] = useState(false);
+  const [dataSources, setDataSources] = useState({});
+  const [qualityReports, setQualityReports] = useState([]);
+  const [customCohorts, setCustomCohorts] = useState([]);
+  const [pendingWorkbooks, setPendingWorkbooks] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [initialView] = useState(() =>
+    decodeViewState(window.location.hash)
+  );
 
-  const [cohortToggles, setCohortToggles] = useState({
-    dotcom: true,
-    aiPure: true,
-    aiBroad: true,
-  });
-  const [activeStory, setActiveStory] = useState("ps-trend");
+  const [cohortToggles, setCohortToggles] = useState(
+    COHORTS.reduce(
+      (acc, c) => ({ ...acc, [c.id]: !initialView.hidden.includes(c.id) }),
+      {}
+    )
+  );
+  const [activeStory, setActiveStory] = useState(initialView.story);
+  const [peakWindows, setPeakWindows] = useState(initialView.peakWindows);
+  const [alignToPeak, setAlignToPeak] = useState(initialView.alignToPeak);
+  const [psStat, setPsStat] = useState(initialView.psStat);
+  const [metricKey, setMetricKey] = useState(initialView.metric);
+  const [realBase, setRealBase] = useState(initialView.realBase);
+  const [showCi, setShowCi] = useState(initialView.showCi);
+  const [distView, setDistView] = useState(initialView.distView);
+  const [sizeBasis, setSizeBasis] = useState(initialView.sizeBasis);
+  const [scatterLayers, setScatterLayers] = useState(
+    initialView.scatterLayers
+  );
+  const [drill, setDrill] = useState(initialView.drill);
+  const [reportMode, setReportMode] = useState(initialView.report);
+  const [scenario, setScenario] = useState(initialView.scenario);
 
   const [macroColsState, setMacroColumns] = useState([]);
   const [macroSelection, setMacroSelection] = useState({});
   const [macroRange, setMacroRange] = useState([0, 0]);
   const [macroNormalization, setMacroNormalization] = useState(
-    "Z-score (standardize)"
+    initialView.macroNormalization
   );
-  const [macroZoom, setMacroZoom] = useState("AI Boom (2022–2025)");
+  const [macroZoom, setMacroZoom] = useState(initialView.macroZoom);
+  const replaceHistoryRef = useRef(true);
+
+  // Column picks and date range need the loaded macro rows to resolve
+  const applyMacroView = (view, rows, cols) => {
+    setMacroSelection(
+      cols.reduce(
+        (acc, c) => ({
+          ...acc,
+          [c]: !view.macroCols || view.macroCols.includes(c),
+        }),
+        {}
+      )
+    );
+    setMacroRange(resolveMacroRange(rows, view.macroDates));
+  };
 
   useEffect(() => {
     async function init() {
       setLoading(true);
       try {
-        const [dotPanel, purePanel, broadPanel, mRows] = await Promise.all([
-          loadDotcomPanel(),
-          loadExcelPanel(
-            DATA_PATHS.bigTech,
-            [2020, 2021, 2022, 2023, 2024, 2025],
-            "HighTech.xlsx (Big Tech AI)"
-          ),
-          loadExcelPanel(
-            DATA_PATHS.pureAi,
-            [2020, 2021, 2022, 2023, 2024, 2025],
-            "PureAI.xlsx (Pure-play AI)"
-          ),
+        const [results, mRows] = await Promise.all([
+          Promise.all(COHORTS.map(loadRegisteredCohort)),
           loadMacrodata(),
         ]);
 
-        if (dotPanel.length) setDotcom(dotPanel);
-        if (purePanel.length) setAiPure(purePanel);
-        if (broadPanel.length) setAiBroad(broadPanel);
-
-        if (!dotPanel.length || !purePanel.length || !broadPanel.length) {
+        const sources = {};
+        const loaded = {};
+        COHORTS.forEach((c, i) => {
+          loaded[c.id] = results[i].panel;
+          sources[c.id] = results[i].source;
+        });
+        setPanels(loaded);
+        setDataSources(sources);
+        setQualityReports(results.map((r) => r.report));
+        if (Object.values(sources).some((s) => s !== "live")) {
           setUsingFallback(true);
         }
 
@@ -857,10 +4978,11 @@ function App() {
           const mCols = MACRO_COLUMNS.filter((c) => c in mRows[0]);
           setMacroRows(mRows);
           setMacroColumns(mCols);
-          setMacroSelection(
-            mCols.reduce((acc, c) => ({ ...acc, [c]: true }), {})
+          applyMacroView(
+            decodeViewState(window.location.hash),
+            mRows,
+            mCols
           );
-          setMacroRange([0, Math.max(mRows.length - 1, 0)]);
         }
       } catch (e) {
         console.error("Data load failed:", e);
@@ -872,25 +4994,75 @@ function App() {
     init();
   }, []);
 
-  const activeDotcom = cohortToggles.dotcom ? dotcom : [];
-  const activeAiPure = cohortToggles.aiPure ? aiPure : [];
-  const activeAiBroad = cohortToggles.aiBroad ? aiBroad : [];
-
-  const dotPeak = activeDotcom.filter((r) => [1999, 2000].includes(r.Year));
-  const aiPurePeak = activeAiPure.filter((r) =>
-    [2023, 2024, 2025].includes(r.Year)
+  // Real dollars apply only once the macro CSV supplies the base year
+  const priceIndex = useMemo(() => priceIndexByYear(macroRows), [macroRows]);
+  const priceYears = Object.keys(priceIndex).map(Number);
+  const dollarBase = realBase in priceIndex ? realBase : null;
+  // As loaded, before the real-dollar toggle. The scenario simulator reads
+  // these: its required growth holds nominal market caps fixed, so the
+  // realized growth it is set against must be nominal as well.
+  const nominalCohorts = [
+    ...COHORTS.map((c) => {
+      const records = panels[c.id] || [];
+      return { ...c, records, years: yearSpan(records) };
+    }),
+    ...customCohorts,
+  ].map((c) => ({
+    ...c,
+    periodType: periodTypeOf(c.records),
+    peakWindow: clampWindow(peakWindows[c.id], c.years) || c.peakWindow,
+    dollarBase: null,
+  }));
+  const cohorts = nominalCohorts.map((c) => ({
+    ...c,
+    records:
+      dollarBase == null
+        ? c.records
+        : deflateRecords(c.records, priceIndex, dollarBase),
+    dollarBase,
+  }));
+  // Story charts read ValRev, so projecting switches every valuation view
+  // to the chosen multiple; market cap and revenue are left untouched
+  const peakCohorts = cohorts
+    .filter((c) => cohortToggles[c.id] !== false)
+    .map((c) => ({ ...c, records: projectValuation(c.records, metricKey) }))
+    .map((c) => {
+      const peakYears = yearRange(c.peakWindow);
+      return {
+        ...c,
+        peakLog: safeLogArray(
+          c.records
+            .filter((r) => peakYears.includes(calendarYear(r.Year)))
+            .map((r) => r.ValRev)
+        ),
+        peakPoints: c.records
+          .filter(
+            (r) => peakYears.includes(calendarYear(r.Year)) && r.ValRev > 0
+          )
+          .map((r) => ({
+            value: Math.log(r.ValRev),
+            company: r.Company,
+            year: r.Year,
+          })),
+        peakMed: medianLogPs(c.records, peakYears),
+      };
+    });
+  // 1000 resamples per cohort: rerun only when the peak points they draw
+  // from change, not on every hover or toggle
+  const peakCiKey = JSON.stringify(
+    peakCohorts.map((c) => [c.id, c.peakPoints])
   );
-  const aiBroadPeak = activeAiBroad.filter((r) =>
-    [2023, 2024, 2025].includes(r.Year)
+  const peakCis = useMemo(
+    () =>
+      peakCohorts.map((c) =>
+        bootstrapMedianLogPs(c.records, yearRange(c.peakWindow))
+      ),
+    [peakCiKey]
   );
-
-  const dotPeakLog = safeLogArray(dotPeak.map((r) => r.ValRev));
-  const aiPurePeakLog = safeLogArray(aiPurePeak.map((r) => r.ValRev));
-  const aiBroadPeakLog = safeLogArray(aiBroadPeak.map((r) => r.ValRev));
-
-  const dotMed = medianLogPs(activeDotcom, [1999, 2000]);
-  const pureMed = medianLogPs(activeAiPure, [2023, 2024, 2025]);
-  const broadMed = medianLogPs(activeAiBroad, [2023, 2024, 2025]);
+  const activeCohorts = peakCohorts.map((c, i) => ({
+    ...c,
+    peakCi: peakCis[i],
+  }));
 
   const macroFiltered = macroRows.slice(macroRange[0], macroRange[1] + 1);
   const macroSelectedCols = macroColsState.filter((c) => macroSelection[c]);
@@ -917,27 +5089,7 @@ function App() {
 
   const macroSeries = buildSeries(macroFiltered, macroNormData);
 
-  const zoomRanges = {
-    "AI Boom (2022–2025)": [
-      new Date("2022-01-01"),
-      new Date("2025-12-31"),
-    ],
-    "Dot-com Bubble (1995–2002)": [
-      new Date("1995-01-01"),
-      new Date("2002-12-31"),
-    ],
-    "Housing Bubble (2003–2009)": [
-      new Date("2003-01-01"),
-      new Date("2009-12-31"),
-    ],
-    "Smartphone Era (2007–2015)": [
-      new Date("2007-01-01"),
-      new Date("2015-12-31"),
-    ],
-    Reaganomics: [new Date("1981-01-01"), new Date("1989-12-31")],
-  };
-
-  const zoomDates = zoomRanges[macroZoom];
+  const zoomDates = MACRO_ERAS[macroZoom];
   const macroZoomRows =
     !macroZoom || macroZoom === "None" || !zoomDates
       ? []
@@ -953,51 +5105,381 @@ function App() {
   const macroZoomSeries = buildSeries(macroZoomRows, macroZoomNorm);
 
   const toggleCohort = (k) =>
-    setCohortToggles((p) => ({ ...p, [k]: !p[k] }));
+    setCohortToggles((p) => ({ ...p, [k]: p[k] === false }));
+
+  // Metadata colors and peak windows win over the defaults
+  const addUploadedSheets = (fileName, sheets) =>
+    setCustomCohorts((prev) => [
+      ...prev,
+      ...sheets.map((sheet, i) => {
+        const n = prev.length + i;
+        const hex = sheet.colorHex || CUSTOM_COLORS[n % CUSTOM_COLORS.length];
+        if (!sheet.records.length) {
+          console.warn(`⚠️ ${sheet.label}: no usable company blocks`);
+        }
+        return {
+          id: `upload-${Date.now()}-${n}`,
+          label: sheet.label,
+          color: { solid: hex, fill: hexToFill(hex) },
+          records: sheet.records,
+          source: { type: "upload", path: fileName, sheet: sheet.sheet },
+          years: yearSpan(sheet.records),
+          peakWindow: sheet.peakWindow || defaultPeakWindow(sheet.records),
+          report: sheet.report,
+        };
+      }),
+    ]);
+
+  // Single-panel files are added at once; workbooks with several cohort
+  // sheets wait in the sheet picker
+  const addCohortFiles = async (files) => {
+    for (const file of Array.from(files || [])) {
+      try {
+        const parsed = await readCohortFile(file);
+        if (parsed.sheets.length > 1) {
+          setPendingWorkbooks((prev) => [
+            ...prev,
+            { id: `${file.name}-${Date.now()}`, ...parsed },
+          ]);
+        } else {
+          addUploadedSheets(parsed.fileName, parsed.sheets);
+        }
+      } catch (e) {
+        console.error(`❌ Failed to read ${file.name}:`, e);
+      }
+    }
+  };
+  const discardWorkbook = (id) =>
+    setPendingWorkbooks((prev) => prev.filter((w) => w.id !== id));
+  // sheetName = null adds every cohort sheet of the workbook
+  const addWorkbookSheets = (id, sheetName) => {
+    const workbook = pendingWorkbooks.find((w) => w.id === id);
+    if (!workbook) return;
+    addUploadedSheets(
+      workbook.fileName,
+      workbook.sheets.filter((s) => !sheetName || s.sheet === sheetName)
+    );
+    discardWorkbook(id);
+  };
+  const updateCohort = (id, patch) =>
+    setCustomCohorts((prev) =>
+      prev.map((c) => {
+        if (c.id !== id) return c;
+        const next = { ...c, ...patch };
+        if (patch.colorHex) {
+          next.color = {
+            solid: patch.colorHex,
+            fill: hexToFill(patch.colorHex),
+          };
+          delete next.colorHex;
+        }
+        if (patch.label != null) {
+          next.report = { ...c.report, label: patch.label };
+        }
+        return next;
+      })
+    );
+  const removeCohort = (id) =>
+    setCustomCohorts((prev) => prev.filter((c) => c.id !== id));
+
+  const onPageDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    addCohortFiles(e.dataTransfer.files);
+  };
+
+  const pickDrill = (pick) => {
+    const target = resolveDrillPick(cohorts, pick);
+    if (target) setDrill(target);
+  };
+
+  const setPeakWindow = (id, window) =>
+    setPeakWindows((p) => ({ ...p, [id]: window }));
+  const peakWindowText = activeCohorts
+    .map((c) =>
+      c.peakWindow[0] === c.peakWindow[1]
+        ? `${c.label} ${c.peakWindow[0]}`
+        : `${c.label} ${c.peakWindow[0]}–${c.peakWindow[1]}`
+    )
+    .join(" · ");
+
   const toggleMacroCol = (c) =>
     setMacroSelection((p) => ({ ...p, [c]: !p[c] }));
 
+  const viewHash = encodeViewState({
+    story: activeStory,
+    hidden: COHORTS.filter((c) => cohortToggles[c.id] === false).map(
+      (c) => c.id
+    ),
+    // the windows in effect, so a clamped or dropped one is rewritten too
+    peakWindows: Object.fromEntries(
+      cohorts.filter((c) => peakWindows[c.id]).map((c) => [c.id, c.peakWindow])
+    ),
+    psStat,
+    metric: metricKey,
+    realBase,
+    alignToPeak,
+    showCi,
+    distView,
+    sizeBasis,
+    scatterLayers,
+    drill,
+    macroCols:
+      macroSelectedCols.length === macroColsState.length
+        ? null
+        : macroSelectedCols,
+    macroDates:
+      macroRows.length &&
+      (macroRange[0] > 0 || macroRange[1] < macroRows.length - 1)
+        ? macroRange.map((i) => formatIsoDate(macroRows[i].Date))
+        : null,
+    macroNormalization,
+    macroZoom,
+    report: reportMode,
+    scenario,
+  });
+
+  // Each settled view becomes a history entry; the debounce keeps slider
+  // drags from flooding it. The first sync after load (or after back/forward)
+  // only canonicalizes the current entry, and once the hash already matches
+  // the next change must push so Back still returns to this entry.
+  useEffect(() => {
+    if (loading) return;
+    if (window.location.hash.replace(/^#/, "") === viewHash) {
+      replaceHistoryRef.current = false;
+      return;
+    }
+    const timer = setTimeout(() => {
+      const method = replaceHistoryRef.current ? "replaceState" : "pushState";
+      replaceHistoryRef.current = false;
+      window.history[method](null, "", `#${viewHash}`);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [viewHash, loading]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const view = decodeViewState(window.location.hash);
+      replaceHistoryRef.current = true;
+      setActiveStory(view.story);
+      setCohortToggles((p) => ({
+        ...p,
+        ...COHORTS.reduce(
+          (acc, c) => ({ ...acc, [c.id]: !view.hidden.includes(c.id) }),
+          {}
+        ),
+      }));
+      // uploaded cohorts keep their local peak windows
+      setPeakWindows((p) => ({
+        ...Object.fromEntries(
+          Object.entries(p).filter(
+            ([id]) => !COHORTS.some((c) => c.id === id)
+          )
+        ),
+        ...view.peakWindows,
+      }));
+      setAlignToPeak(view.alignToPeak);
+      setPsStat(view.psStat);
+      setMetricKey(view.metric);
+      setRealBase(view.realBase);
+      setShowCi(view.showCi);
+      setDistView(view.distView);
+      setSizeBasis(view.sizeBasis);
+      setScatterLayers(view.scatterLayers);
+      setDrill(view.drill);
+      setMacroNormalization(view.macroNormalization);
+      setMacroZoom(view.macroZoom);
+      setReportMode(view.report);
+      setScenario(view.scenario);
+      applyMacroView(view, macroRows, macroColsState);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [macroRows, macroColsState]);
+
+  const copyViewLink = async () => {
+    const url = `${window.location.href.split("#")[0]}#${viewHash}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (e) {
+      console.warn("⚠️ Clipboard unavailable, showing link instead:", e);
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  const metric = valuationMetric(metricKey);
+  const metricsWithData = availableMetrics(
+    activeCohorts.flatMap((c) => c.records)
+  );
+  const narrative = buildNarrative(activeCohorts, psStat, metricKey, {
+    macroRows,
+    sizeBasis,
+  });
   const storyContent = {
+    "ps-trend": { title: "Heat over time", ...narrative["ps-trend"] },
+    peaks: { title: "Peak distributions", ...narrative.peaks },
+    scale: { title: "Scale vs. Revenue", ...narrative.scale },
+    median: { title: "Typical peaks", ...narrative.median },
+    drawdown: { title: "After the peak", ...narrative.drawdown },
+    size: { title: "Size vs. economy", ...narrative.size },
+  };
+
+  const dollarNote =
+    dollarBase == null
+      ? ""
+      : ` Dollar figures are deflated to ${dollarBase} dollars with macro CSV inflation.`;
+  const storyCaptions = {
+    "ps-trend": alignToPeak
+      ? "Logarithmic scale with each cohort re-indexed to its own peak year (t), so the eras overlay directly."
+      : `Logarithmic scale showing the ${AGGREGATIONS[
+          psStat
+        ].label.toLowerCase()} ${metric.label} multiple per calendar year.`,
+    peaks: `Distribution of ${metric.title} ratios at market peaks (${peakWindowText}). Hollow markers are Tukey outliers.`,
+    scale: `Comparing ${metric.numerator.label} vs ${metric.denominator.label} on a log-log scale. Dashed diagonals mark constant ${metric.label}; a fit slope near 1 means ${metric.numerator.noun} scales with ${metric.denominator.noun}.${dollarNote}`,
+    median: `Median ${metric.label} at the height of each era (${peakWindowText}), with ${
+      BOOTSTRAP.level * 100
+    }% bootstrap error bars.`,
+    drawdown: `Each company's market cap as a share of its high up to the end of the peak window (t = year of that high). Lines back above the dashed 100% level have recovered.${dollarNote}`,
+    size:
+      sizeBasis === "gdp"
+        ? "Nominal market cap as a share of nominal US GDP at the nearest macro date, with each era on its own calendar years. Thin lines are individual companies."
+        : "Nominal market cap per point of the NASDAQ Composite at the nearest macro date, with each era on its own calendar years. Thin lines are individual companies.",
+  };
+
+  // Same factories and options the story cards render with
+  const storyExports = {
     "ps-trend": {
-      title: "Heat over time",
-      body: "Dot-com valuations rocketed on top of single-product web ideas, often with fragile business models. Today's AI excitement sits on cash-generating platforms.",
-      bullets: [
-        "Dot-com: sharp spike as speculation decouples from fundamentals.",
-        "Pure-play AI: averages rise faster than Big Tech AI thanks to narrow revenue bases.",
-        "Big Tech AI: steadier climb because diversified platforms buffer hype swings.",
-      ],
+      config: () =>
+        avgPsChartConfig(activeCohorts, {
+          alignToPeak,
+          stat: psStat,
+          showCi,
+          metric: metricKey,
+        }),
+      rows: avgPsExportRows,
+      meta: { metric: metric.label, statistic: psStat, alignToPeak },
     },
     peaks: {
-      title: "Peak distributions",
-      body: "Peak windows show where cohorts cluster. Dot-com names piled up at extreme valuations, pure AI sits above Big Tech, but neither revisit 2000's mania.",
-      bullets: [
-        "Dot-com: box sits high with long whiskers—classic froth.",
-        "Pure-play AI: higher medians than Big Tech but tighter than dot-com peaks.",
-        "Big Tech AI: compact box thanks to diversified revenue cushions.",
-      ],
+      config: () =>
+        distributionChartConfig(peakGroups(activeCohorts), {
+          view: distView,
+          yTitle: peakDistributionTitle(metricKey),
+          unit: metric.label,
+        }),
+      rows: distributionExportRows,
+      meta: { metric: metric.label, view: distView },
     },
     scale: {
-      title: "Scale vs. Revenue",
-      body: "On the log–log scatter, Big Tech spans huge revenue bases with healthy market-cap alignment. Dot-com and pure AI points overlap across log values.",
-      bullets: [
-        "Dot-com vs. Pure AI: overlapping clouds show both chase value ahead of revenue.",
-        "Big Tech AI: trends up and to the right with fewer outliers.",
-        "Spread: pure AI and dot-com clusters sit at lower revenue scales, amplifying volatility.",
-      ],
+      config: () =>
+        mcRevScatterChartConfig(activeCohorts, {
+          ...scatterLayers,
+          metric: metricKey,
+        }),
+      rows: scatterExportRows,
+      meta: { metric: metric.label },
     },
     median: {
-      title: "Typical peaks",
-      body: "Median P/S at cohort peaks highlights cushion. Big Tech AI stays nearer sustainable bands, while pure AI floats higher—still calmer than dot-com extremes.",
-      bullets: [
-        "Dot-com: elevated medians underline the bubble's breadth.",
-        "Pure-play AI: higher medians hint at optimism priced in before revenue catches up.",
-        "Big Tech AI: lower medians signal investors reward proven engines.",
-      ],
+      config: () =>
+        medianPsBarChartConfig(activeCohorts, { metric: metricKey }),
+      rows: medianExportRows,
+      meta: { metric: metric.label, ciLevel: BOOTSTRAP.level },
+    },
+    drawdown: {
+      config: () => drawdownChartConfig(activeCohorts),
+      rows: drawdownExportRows,
+      meta: {},
+    },
+    size: {
+      config: () =>
+        marketSizeChartConfig(activeCohorts, macroRows, { basis: sizeBasis }),
+      rows: marketSizeExportRows,
+      meta: { basis: MARKET_SIZE_BASES[sizeBasis].label },
     },
   };
 
+  const macroExportMeta = (rows) => ({
+    normalization: macroNormalization,
+    columns: macroSelectedCols,
+    range: rows.length
+      ? [rows[0].Date, rows[rows.length - 1].Date].map(formatIsoDate)
+      : null,
+  });
+
+  if (reportMode && !loading) {
+    const macroCaption = (rows) => {
+      const meta = macroExportMeta(rows);
+      return [
+        meta.columns.join(", ") || "No series selected",
+        macroNormalization,
+        meta.range && `${meta.range[0]} to ${meta.range[1]}`,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+    };
+    return (
+      <div className="page report-page">
+        <ReportView
+          stories={Object.keys(storyContent).map((k) => ({
+            id: k,
+            title: storyContent[k].title,
+            body: storyContent[k].body,
+            bullets: storyContent[k].bullets,
+            caption: storyCaptions[k],
+            buildConfig: storyExports[k].config,
+            extra: (k === "peaks" || k === "median") && (
+              <SignificancePanel cohorts={activeCohorts} metric={metricKey} />
+            ),
+          }))}
+          macroFigures={[
+            {
+              title: "Full history",
+              caption: macroCaption(macroFiltered),
+              buildConfig: () =>
+                macroChartConfig(macroSeries, macroNormalization),
+            },
+            ...(macroZoom !== "None"
+              ? [
+                  {
+                    title: `Era zoom: ${macroZoom}`,
+                    caption: macroCaption(macroZoomRows),
+                    buildConfig: () =>
+                      macroChartConfig(macroZoomSeries, macroNormalization),
+                  },
+                ]
+              : []),
+          ]}
+          cohorts={activeCohorts}
+          sources={[
+            ...activeCohorts.map(
+              (c) =>
+                `${c.label}: ${c.source.path} (${
+                  SOURCE_LABELS[dataSources[c.id] || c.source.type] ||
+                  "unknown"
+                })`
+            ),
+            `Macro: ${DATA_PATHS.macro}`,
+          ]}
+          renderKey={`${viewHash}|${cohortKey(activeCohorts)}`}
+          onClose={() => setReportMode(false)}
+        />
+      </div>
+    );
+  }
+
   return (
-    <div className="page">
+    <div
+      className={`page ${dragActive ? "drag-active" : ""}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!dragActive) setDragActive(true);
+      }}
+      onDragLeave={(e) => {
+        if (e.currentTarget === e.target) setDragActive(false);
+      }}
+      onDrop={onPageDrop}
+    >
       <div className="hero">
         <div className="tag">Dot-com vs AI</div>
         <h1>Is the AI bubble real?</h1>
@@ -1007,31 +5489,75 @@ function App() {
           the narrow bets of the past.
         </p>
         <div className="controls-row">
-          <label className="toggle-pill">
-            <input
-              type="checkbox"
-              checked={cohortToggles.dotcom}
-              onChange={() => toggleCohort("dotcom")}
-            />{" "}
-            Dot-com
-          </label>
-          <label className="toggle-pill">
-            <input
-              type="checkbox"
-              checked={cohortToggles.aiPure}
-              onChange={() => toggleCohort("aiPure")}
-            />{" "}
-            Big Tech AI
-          </label>
-          <label className="toggle-pill">
+          <button className="link-btn" onClick={copyViewLink}>
+            {linkCopied ? "✅ Link copied" : "🔗 Copy link to this view"}
+          </button>
+          <button className="link-btn" onClick={() => setReportMode(true)}>
+            📄 Report view
+          </button>
+        </div>
+        <div className="controls-row">
+          {cohorts.map((c) => (
+            <label key={c.id} className="toggle-pill">
+              <input
+                type="checkbox"
+                checked={cohortToggles[c.id] !== false}
+                onChange={() => toggleCohort(c.id)}
+              />{" "}
+              <span
+                className="swatch"
+                style={{ background: c.color.solid }}
+              />
+              {c.label}
+            </label>
+          ))}
+        </div>
+        <div className="controls-row">
+          <label
+            className="toggle-pill"
+            title={
+              priceYears.length
+                ? "Restate dollar figures using the macro CSV's inflation"
+                : "Needs the Inflation column of the macro CSV"
+            }
+          >
             <input
               type="checkbox"
-              checked={cohortToggles.aiBroad}
-              onChange={() => toggleCohort("aiBroad")}
+              checked={dollarBase != null}
+              disabled={!priceYears.length}
+              onChange={() =>
+                setRealBase(
+                  dollarBase == null ? priceYears[priceYears.length - 1] : null
+                )
+              }
             />{" "}
-            Pure-play AI
+            Real dollars
           </label>
+          {dollarBase != null && (
+            <div className="field">
+              <label>Base year</label>
+              <select
+                value={dollarBase}
+                onChange={(e) => setRealBase(Number(e.target.value))}
+              >
+                {priceYears.map((y) => (
+                  <option key={y} value={y}>
+                    {y}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
+        <CohortUpload
+          cohorts={customCohorts}
+          onFiles={addCohortFiles}
+          pendingWorkbooks={pendingWorkbooks}
+          onAddSheets={addWorkbookSheets}
+          onDiscardWorkbook={discardWorkbook}
+          onUpdate={updateCohort}
+          onRemove={removeCohort}
+        />
       </div>
 
       <div className="story-section">
@@ -1066,10 +5592,148 @@ function App() {
                   <li key={i}>{b}</li>
                 ))}
               </ul>
+              {!loading &&
+                (activeStory === "peaks" || activeStory === "median") && (
+                  <SignificancePanel
+                    cohorts={activeCohorts}
+                    metric={metricKey}
+                  />
+                )}
             </div>
+            {activeStory !== "drawdown" && activeStory !== "size" && (
+              <div className="controls-row">
+                <div className="field">
+                  <label>Valuation metric</label>
+                  <select
+                    value={metricKey}
+                    onChange={(e) => setMetricKey(e.target.value)}
+                  >
+                    {Object.keys(VALUATION_METRICS).map((k) => (
+                      <option
+                        key={k}
+                        value={k}
+                        disabled={!metricsWithData.includes(k)}
+                      >
+                        {VALUATION_METRICS[k].label} (
+                        {VALUATION_METRICS[k].title})
+                        {metricsWithData.includes(k) ? "" : " – no data"}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+            {activeStory === "ps-trend" && (
+              <div className="controls-row">
+                <label className="toggle-pill">
+                  <input
+                    type="checkbox"
+                    checked={alignToPeak}
+                    onChange={() => setAlignToPeak((v) => !v)}
+                  />{" "}
+                  Align to peak (event time)
+                </label>
+                <label className="toggle-pill">
+                  <input
+                    type="checkbox"
+                    checked={showCi}
+                    onChange={() => setShowCi((v) => !v)}
+                  />{" "}
+                  {BOOTSTRAP.level * 100}% bootstrap bands
+                </label>
+                <div className="field">
+                  <label>Aggregation</label>
+                  <select
+                    value={psStat}
+                    onChange={(e) => setPsStat(e.target.value)}
+                  >
+                    {Object.keys(AGGREGATIONS).map((k) => (
+                      <option key={k} value={k}>
+                        {AGGREGATIONS[k].label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+            {activeStory === "peaks" && (
+              <div className="controls-row">
+                {Object.keys(DISTRIBUTION_VIEWS).map((v) => (
+                  <button
+                    key={v}
+                    className={`story-btn ${distView === v ? "active" : ""}`}
+                    onClick={() => setDistView(v)}
+                  >
+                    {DISTRIBUTION_VIEWS[v]}
+                  </button>
+                ))}
+              </div>
+            )}
+            {activeStory === "size" && (
+              <div className="controls-row">
+                {Object.keys(MARKET_SIZE_BASES).map((k) => (
+                  <button
+                    key={k}
+                    className={`story-btn ${sizeBasis === k ? "active" : ""}`}
+                    onClick={() => setSizeBasis(k)}
+                  >
+                    {MARKET_SIZE_BASES[k].label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {activeStory === "scale" && (
+              <div className="controls-row">
+                {Object.keys(SCATTER_LAYERS).map((k) => (
+                  <label key={k} className="toggle-pill">
+                    <input
+                      type="checkbox"
+                      checked={scatterLayers[k]}
+                      onChange={() =>
+                        setScatterLayers((prev) => ({
+                          ...prev,
+                          [k]: !prev[k],
+                        }))
+                      }
+                    />{" "}
+                    {SCATTER_LAYERS[k]}
+                  </label>
+                ))}
+              </div>
+            )}
+            {(activeStory === "ps-trend" ||
+              activeStory === "peaks" ||
+              activeStory === "median" ||
+              activeStory === "drawdown") && (
+              <PeakWindowControls
+                cohorts={activeCohorts}
+                onChange={setPeakWindow}
+              />
+            )}
           </div>
 
           <div className="card chart-card">
+            {!loading && (
+              <div className="chart-card-header">
+                <ExportMenu
+                  name={`story-${activeStory}`}
+                  title={storyContent[activeStory].title}
+                  buildConfig={storyExports[activeStory].config}
+                  toRows={storyExports[activeStory].rows}
+                  meta={{
+                    story: activeStory,
+                    cohorts: activeCohorts.map((c) => ({
+                      id: c.id,
+                      label: c.label,
+                      peakWindow: c.peakWindow,
+                    })),
+                    dollars:
+                      dollarBase == null ? "nominal" : `${dollarBase} real`,
+                    ...storyExports[activeStory].meta,
+                  }}
+                />
+              </div>
+            )}
             <div className="chart-container">
               {loading && (
                 <p
@@ -1084,42 +5748,51 @@ function App() {
               )}
               {!loading && activeStory === "ps-trend" && (
                 <AvgPsLineChart
-                  dotcom={activeDotcom}
-                  aiPure={activeAiPure}
-                  aiBroad={activeAiBroad}
+                  cohorts={activeCohorts}
+                  alignToPeak={alignToPeak}
+                  stat={psStat}
+                  showCi={showCi}
+                  metric={metricKey}
+                  onPick={pickDrill}
                 />
               )}
               {!loading && activeStory === "peaks" && (
                 <PeakBoxplotChart
-                  dotLog={dotPeakLog}
-                  pureLog={aiPurePeakLog}
-                  broadLog={aiBroadPeakLog}
+                  cohorts={activeCohorts}
+                  view={distView}
+                  metric={metricKey}
+                  onPick={pickDrill}
                 />
               )}
               {!loading && activeStory === "scale" && (
                 <McRevScatterChart
-                  dotcom={activeDotcom}
-                  aiPure={activeAiPure}
-                  aiBroad={activeAiBroad}
+                  cohorts={activeCohorts}
+                  layers={scatterLayers}
+                  metric={metricKey}
+                  onPick={pickDrill}
                 />
               )}
               {!loading && activeStory === "median" && (
                 <MedianPsBarChart
-                  dotMed={dotMed}
-                  pureMed={pureMed}
-                  broadMed={broadMed}
+                  cohorts={activeCohorts}
+                  metric={metricKey}
+                  onPick={pickDrill}
+                />
+              )}
+              {!loading && activeStory === "drawdown" && (
+                <DrawdownChart cohorts={activeCohorts} onPick={pickDrill} />
+              )}
+              {!loading && activeStory === "size" && (
+                <MarketSizeChart
+                  cohorts={activeCohorts}
+                  macroRows={macroRows}
+                  basis={sizeBasis}
+                  onPick={pickDrill}
                 />
               )}
             </div>
             <div className="chart-subtitle">
-              {activeStory === "ps-trend" &&
-                "Logarithmic scale showing valuation multiples over time. Dot-com bubble clearly visible on the left."}
-              {activeStory === "peaks" &&
-                "Distribution of Valuation/Revenue ratios at market peaks. Dot-com outliers sit much higher."}
-              {activeStory === "scale" &&
-                "Comparing Market Cap vs Revenue on a log-log scale. Big Tech aligns with scale; Dot-com scattered."}
-              {activeStory === "median" &&
-                "Median Price-to-Sales ratio at the height of each era. Big Tech valuations remain grounded."}
+              {storyCaptions[activeStory]}
               {usingFallback && (
                 <span
                   style={{
@@ -1129,8 +5802,12 @@ function App() {
                     marginTop: 8,
                   }}
                 >
-                  Note: Some cohorts are missing or partially loaded. Check
-                  file paths and CSV headers if something looks off.
+                  Note: Some cohorts are not from live files (
+                  {COHORTS.map(
+                    (c) =>
+                      `${c.label}: ${SOURCE_LABELS[dataSources[c.id]] || "unknown"}`
+                  ).join(", ")}
+                  ). Check file paths and CSV headers if something looks off.
                 </span>
               )}
             </div>
@@ -1138,6 +5815,66 @@ function App() {
         </div>
       </div>
 
+      <div className="scenario-section">
+        <div className="section-header">
+          <h2>Scenario Simulator</h2>
+        </div>
+        <p className="scenario-intro">
+          How much revenue growth would bring a cohort&apos;s latest P/S down
+          to a target multiple, and what would it take at flat revenue?
+          Compared with what {SCENARIO_REFERENCE.years[0]}–
+          {SCENARIO_REFERENCE.years[1]} actually delivered.
+          {dollarBase != null &&
+            " Both sides stay in nominal dollars, since the target holds today's nominal market caps fixed."}
+        </p>
+        {loading ? (
+          <p style={{ color: "var(--muted)" }}>Loading datasets...</p>
+        ) : (
+          <ScenarioPanel
+            cohorts={nominalCohorts}
+            scenario={scenario}
+            onChange={setScenario}
+            onPick={pickDrill}
+          />
+        )}
+      </div>
+
+      <div className="drill-section">
+        <div className="section-header drill-header">
+          <h2>Company Drill-down</h2>
+          <CompanySearch cohorts={cohorts} onSelect={setDrill} />
+        </div>
+        {drill ? (
+          <CompanyDrilldown
+            cohorts={cohorts}
+            selection={drill}
+            onSelect={setDrill}
+            onClose={() => setDrill(null)}
+          />
+        ) : (
+          <p style={{ color: "var(--muted)", margin: 0 }}>
+            Click a point, box or bar in any story chart, or search above, to
+            see one company&apos;s market cap, revenue and P/S path.
+          </p>
+        )}
+      </div>
+
+      <div className="quality-section">
+        <div className="section-header">
+          <h2>Data Quality</h2>
+        </div>
+        {loading ? (
+          <p style={{ color: "var(--muted)" }}>Validating datasets...</p>
+        ) : (
+          <DataQualityPanel
+            reports={[
+              ...qualityReports,
+              ...customCohorts.map((c) => c.report),
+            ]}
+          />
+        )}
+      </div>
+
       <div className="macro-section">
         <div className="section-header">
           <h2>Macroeconomic Context</h2>
@@ -1155,9 +5892,9 @@ function App() {
                     setMacroNormalization(e.target.value)
                   }
                 >
-                  <option>Z-score (standardize)</option>
-                  <option>Index to 100</option>
-                  <option>None</option>
+                  {MACRO_NORMALIZATIONS.map((n) => (
+                    <option key={n}>{n}</option>
+                  ))}
                 </select>
               </div>
 
@@ -1254,7 +5991,7 @@ function App() {
                   value={macroZoom}
                   onChange={(e) => setMacroZoom(e.target.value)}
                 >
-                  {Object.keys(zoomRanges).map((z) => (
+                  {Object.keys(MACRO_ERAS).map((z) => (
                     <option key={z}>{z}</option>
                   ))}
                   <option>None</option>
@@ -1271,15 +6008,26 @@ function App() {
             }}
           >
             <div className="card chart-card">
-              <h3
-                style={{
-                  margin: "0 0 10px 0",
-                  fontSize: "1rem",
-                  color: "var(--muted)",
-                }}
-              >
-                Full History
-              </h3>
+              <div className="chart-card-header">
+                <h3
+                  style={{
+                    margin: "0 0 10px 0",
+                    fontSize: "1rem",
+                    color: "var(--muted)",
+                  }}
+                >
+                  Full History
+                </h3>
+                <ExportMenu
+                  name="macro-full-history"
+                  title="Macroeconomic context: full history"
+                  buildConfig={() =>
+                    macroChartConfig(macroSeries, macroNormalization)
+                  }
+                  toRows={macroExportRows}
+                  meta={macroExportMeta(macroFiltered)}
+                />
+              </div>
               <div className="chart-container">
                 <MacroLineChart
                   series={macroSeries}
@@ -1290,15 +6038,26 @@ function App() {
 
             {macroZoom !== "None" && (
               <div className="card chart-card">
-                <h3
-                  style={{
-                    margin: "0 0 10px 0",
-                    fontSize: "1rem",
-                    color: "var(--muted)",
-                  }}
-                >
-                  Zoom: {macroZoom}
-                </h3>
+                <div className="chart-card-header">
+                  <h3
+                    style={{
+                      margin: "0 0 10px 0",
+                      fontSize: "1rem",
+                      color: "var(--muted)",
+                    }}
+                  >
+                    Zoom: {macroZoom}
+                  </h3>
+                  <ExportMenu
+                    name="macro-zoom"
+                    title={`Macroeconomic context: ${macroZoom}`}
+                    buildConfig={() =>
+                      macroChartConfig(macroZoomSeries, macroNormalization)
+                    }
+                    toRows={macroExportRows}
+                    meta={macroExportMeta(macroZoomRows)}
+                  />
+                </div>
                 <div
                   className="chart-container"
                   style={{ height: 320 }}
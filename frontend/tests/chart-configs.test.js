@@ -0,0 +1,257 @@
+// Regression tests for cohort identity: whatever order the cohorts arrive in
+// and whichever are toggled off, every dataset a chart factory builds must
+// carry the id, label, colour and data of the same COHORTS registry entry.
+// Run with `npm test` from frontend/.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, readMacroCsv } = require("./load-app");
+
+const app = loadApp()([
+  "COHORTS",
+  "window",
+  "validateTidyRecords",
+  "yearRange",
+  "calendarYear",
+  "periodTypeOf",
+  "formatPeriod",
+  "parseMacroCsv",
+  "safeLogArray",
+  "medianLogPs",
+  "avgPsChartConfig",
+  "distributionChartConfig",
+  "peakGroups",
+  "mcRevScatterChartConfig",
+  "medianPsBarChartConfig",
+  "drawdownChartConfig",
+  "marketSizeChartConfig",
+]);
+
+const registry = Object.fromEntries(app.COHORTS.map((c) => [c.id, c]));
+const macroRows = app.parseMacroCsv(readMacroCsv());
+
+// Same per-cohort fields App derives before handing cohorts to the charts
+function buildCohort(id) {
+  const c = registry[id];
+  const { records } = app.validateTidyRecords(
+    app.window.EMBEDDED_TIDY[c.source.embeddedKey],
+    c.label
+  );
+  const peakYears = app.yearRange(c.peakWindow);
+  const inPeak = (r) => peakYears.includes(app.calendarYear(r.Year));
+  return {
+    ...c,
+    records,
+    periodType: app.periodTypeOf(records),
+    peakLog: app.safeLogArray(records.filter(inPeak).map((r) => r.ValRev)),
+    peakPoints: records
+      .filter((r) => inPeak(r) && r.ValRev > 0)
+      .map((r) => ({
+        value: Math.log(r.ValRev),
+        company: r.Company,
+        year: r.Year,
+      })),
+    peakMed: app.medianLogPs(records, peakYears),
+    peakCi: null,
+  };
+}
+
+const ALL_IDS = app.COHORTS.map((c) => c.id);
+const SCENARIOS = [
+  { name: "registry order", ids: ALL_IDS },
+  { name: "reversed", ids: [...ALL_IDS].reverse() },
+  { name: "rotated", ids: [...ALL_IDS.slice(1), ALL_IDS[0]] },
+  ...ALL_IDS.map((hidden) => ({
+    name: `${hidden} toggled off`,
+    ids: ALL_IDS.filter((id) => id !== hidden),
+  })),
+];
+
+// Arrays built inside the VM have that realm's prototype, which strict
+// deepEqual would reject, so compare plain copies
+function assertSameList(actual, expected, message) {
+  assert.deepEqual(Array.from(actual), Array.from(expected), message);
+}
+
+// Order-free comparison for point clouds, on the fields scalePoints derives
+function pointKey({ x, y, company, year }) {
+  return JSON.stringify({ x, y, company, year });
+}
+
+function assertSamePoints(actual, expected, message) {
+  assertSameList(
+    actual.map(pointKey).sort(),
+    expected.map(pointKey).sort(),
+    message
+  );
+}
+
+function assertCohortDataset(d, id, { label, color = "solid" } = {}) {
+  const entry = registry[id];
+  assert.ok(entry, `dataset "${d.label}" has unknown cohort id ${id}`);
+  if (label) assert.equal(label, entry.label, `label for ${id}`);
+  assert.equal(d.borderColor, entry.color[color], `colour for ${id}`);
+}
+
+// Company names alone can't tell cohorts apart (Microsoft is in both the
+// dot-com and Big Tech panels), so values are recomputed from the records.
+// Keyed by the period label the trend chart puts on its x axis.
+function logMeanPsByPeriod({ records, periodType }) {
+  const byPeriod = new Map();
+  records
+    .filter((r) => r.ValRev > 0)
+    .forEach((r) => {
+      const key = app.formatPeriod(r.Year, periodType);
+      byPeriod.set(key, [...(byPeriod.get(key) || []), r]);
+    });
+  return new Map(
+    [...byPeriod].map(([key, rs]) => [
+      key,
+      Math.log(rs.reduce((s, r) => s + r.ValRev, 0) / rs.length),
+    ])
+  );
+}
+
+function scalePoints(records) {
+  return records
+    .filter((r) => r.MarketCap > 0 && r.Revenue > 0)
+    .map((r) => ({
+      x: Math.log(r.Revenue),
+      y: Math.log(r.MarketCap),
+      company: r.Company,
+      year: r.Year,
+    }));
+}
+
+// Market cap relative to the company's high up to the end of the peak window
+function drawdownRatios(records, company, peakWindow) {
+  const own = records.filter((r) => r.Company === company && r.MarketCap > 0);
+  const high = Math.max(
+    ...own
+      .filter((r) => app.calendarYear(r.Year) <= peakWindow[1])
+      .map((r) => r.MarketCap)
+  );
+  return new Map(own.map((r) => [r.Year, r.MarketCap / high]));
+}
+
+SCENARIOS.forEach(({ name, ids }) => {
+  test(`chart datasets keep cohort identity (${name})`, async (t) => {
+    const cohorts = ids.map(buildCohort);
+    const byId = Object.fromEntries(cohorts.map((c) => [c.id, c]));
+
+    await t.test("avgPsChartConfig", () => {
+      const config = app.avgPsChartConfig(cohorts, { showCi: false });
+      const lines = config.data.datasets.filter((d) => !d.isBand);
+      assertSameList(lines.map((d) => d.cohortId), ids);
+      lines.forEach((d) => {
+        assertCohortDataset(d, d.cohortId, { label: d.label });
+        const expected = logMeanPsByPeriod(byId[d.cohortId]);
+        config.data.labels.forEach((period, i) =>
+          assert.equal(d.data[i], expected.get(period) ?? null, period)
+        );
+      });
+    });
+
+    await t.test("distributionChartConfig", () => {
+      const config = app.distributionChartConfig(app.peakGroups(cohorts));
+      assertSameList(
+        config.data.datasets.map((d) => d.groupId),
+        ids
+      );
+      config.data.datasets.forEach((d) => {
+        const entry = registry[d.groupId];
+        assert.equal(d.label, `${entry.label} Peak`);
+        const expected = byId[d.groupId].peakPoints.map((p) => p.value);
+        assertSameList(d.data.map((p) => p.y), expected);
+      });
+    });
+
+    await t.test("mcRevScatterChartConfig", () => {
+      const config = app.mcRevScatterChartConfig(cohorts, {
+        trajectories: true,
+        fits: true,
+        isoLines: true,
+      });
+      const points = config.data.datasets.filter((d) => !d.isOverlay);
+      assertSameList(points.map((d) => d.cohortId), ids);
+      points.forEach((d) => {
+        assertCohortDataset(d, d.cohortId, { label: d.label });
+        assert.equal(d.backgroundColor, registry[d.cohortId].color.fill);
+        assertSamePoints(d.data, scalePoints(byId[d.cohortId].records));
+      });
+      config.data.datasets
+        .filter((d) => d.isTrajectory)
+        .forEach((d) => {
+          assertCohortDataset(d, d.cohortId, { color: "fill" });
+          const own = new Set(
+            scalePoints(byId[d.cohortId].records).map(pointKey)
+          );
+          d.data.forEach((p) =>
+            assert.ok(own.has(pointKey(p)), `${d.label} in ${d.cohortId}`)
+          );
+        });
+      config.data.datasets
+        .filter((d) => d.fit)
+        .forEach((d) => {
+          assertCohortDataset(d, d.cohortId);
+          assert.ok(d.label.startsWith(`${registry[d.cohortId].label} fit`));
+        });
+    });
+
+    await t.test("medianPsBarChartConfig", () => {
+      const config = app.medianPsBarChartConfig(cohorts);
+      const [d] = config.data.datasets;
+      assertSameList(d.cohortIds, ids);
+      d.cohortIds.forEach((id, i) => {
+        const entry = registry[id];
+        assert.equal(config.data.labels[i], `${entry.label} Peak`);
+        assert.equal(d.borderColor[i], entry.color.solid);
+        assert.equal(d.backgroundColor[i], entry.color.fill);
+        assert.equal(d.data[i], byId[id].peakMed);
+      });
+    });
+
+    await t.test("drawdownChartConfig", () => {
+      const config = app.drawdownChartConfig(cohorts);
+      const lines = config.data.datasets.filter((d) => !d.isOverlay);
+      assert.ok(lines.length);
+      lines.forEach((d) => {
+        assert.equal(d.cohortLabel, registry[d.cohortId].label);
+        assertCohortDataset(d, d.cohortId);
+        const c = byId[d.cohortId];
+        const ratios = drawdownRatios(c.records, d.label, c.peakWindow);
+        d.data.forEach((p) => {
+          assert.equal(p.company, d.label);
+          assert.equal(p.y, ratios.get(p.year), `${d.label} ${p.year}`);
+        });
+      });
+    });
+
+    await t.test("marketSizeChartConfig", () => {
+      const config = app.marketSizeChartConfig(cohorts, macroRows);
+      const totals = config.data.datasets.filter((d) => !d.isCompany);
+      assertSameList(totals.map((d) => d.cohortId), ids);
+      config.data.datasets.forEach((d) => {
+        assert.equal(d.cohortLabel, registry[d.cohortId].label);
+        assertCohortDataset(d, d.cohortId, {
+          color: d.isCompany ? "fill" : "solid",
+        });
+        const { records } = byId[d.cohortId];
+        d.data.forEach((p) => {
+          const caps = records
+            .filter(
+              (r) =>
+                r.Year === p.year &&
+                r.MarketCap > 0 &&
+                (!d.isCompany || r.Company === d.label)
+            )
+            .map((r) => r.MarketCap);
+          assert.equal(
+            p.cap,
+            caps.reduce((s, v) => s + v, 0),
+            `${d.label} ${p.year}`
+          );
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// Compiles app.jsx the way index.html does (Babel standalone, React preset)
+// and runs it in a VM with just enough browser stubs for module-level code.
+// Chart config factories are pure, so nothing here needs a DOM or a canvas.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const Babel = require("@babel/standalone");
+
+const FRONTEND = path.join(__dirname, "..");
+
+function loadApp() {
+  const source = fs.readFileSync(path.join(FRONTEND, "app.jsx"), "utf8");
+  const { code } = Babel.transform(source, { presets: ["react"] });
+
+  const noop = () => {};
+  const window = {
+    location: { hash: "", href: "http://localhost/" },
+    history: {},
+    addEventListener: noop,
+    removeEventListener: noop,
+  };
+  const context = vm.createContext({
+    console: { ...console, log: noop, warn: noop },
+    window,
+    document: { getElementById: () => ({}), createElement: () => ({}) },
+    React: {
+      createElement: () => null,
+      Fragment: "fragment",
+      useEffect: noop,
+      useMemo: (fn) => fn(),
+      useRef: () => ({ current: null }),
+      useState: (v) => [typeof v === "function" ? v() : v, noop],
+    },
+    ReactDOM: { createRoot: () => ({ render: noop }) },
+    Chart: Object.assign(noop, { defaults: { font: {} }, register: noop }),
+  });
+  vm.runInContext(
+    fs.readFileSync(path.join(FRONTEND, "embedded-data.js"), "utf8"),
+    context
+  );
+  vm.runInContext(code, context);
+  // Top-level const/function declarations live in the context's global
+  // lexical scope, so a second script can hand them back
+  return (names) =>
+    vm.runInContext(`({ ${names.join(", ")} })`, context);
+}
+
+function readMacroCsv() {
+  return fs.readFileSync(
+    path.join(FRONTEND, "..", "data", "combined-macrodata.csv"),
+    "utf8"
+  );
+}
+
+module.exports = { loadApp, readMacroCsv };